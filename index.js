@@ -0,0 +1,9 @@
+const { format, ParseError } = require("./lib/format");
+const { loadConfig, resolveConfig } = require("./lib/config");
+
+module.exports = {
+    format,
+    loadConfig,
+    resolveConfig,
+    ParseError,
+};
\ No newline at end of file
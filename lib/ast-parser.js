@@ -1,6 +1,12 @@
 const { parse } = require("@babel/parser");
 const traverse = require("@babel/traverse").default;
 const generate = require("@babel/generator").default;
+const { extname } = require("path");
+const { mergeDuplicateImports } = require("./import-merger");
+const { sortSpecifiers } = require("./import-sorter");
+const { convertTypeImports } = require("./type-imports");
+const { removeUnusedImports } = require("./unused-imports");
+const { joinImportComments } = require("./import-comments");
 
 // Ignore comment patterns - supports both seri-sei-ignore and seri-seiyaadhe
 const IGNORE_PATTERNS = {
@@ -53,53 +59,169 @@ const hasIgnoreComment = (nodeStartLine, lines) => {
     return IGNORE_PATTERNS.nextBlock.test(precedingLine);
 };
 
+/**
+ * Creates the check for comments that may move with an import or re-export. Generated headers are
+ * recreated, and ignore comments belong to the code they ignore.
+ * @param {string} code - The source code
+ * @param {RegExp} headerRegex - Matches generated headers
+ * @returns {(comment: object) => boolean} The check
+ */
+const createAttachableFilter = (code, headerRegex) => (comment) => {
+    const text = code.slice(comment.start, comment.end);
+    return !headerRegex.test(text) && !Object.values(IGNORE_PATTERNS).some(pattern => pattern.test(text));
+};
+
+// Line comments that apply to the whole file, so they stay at its top even right above the first import
+const FILE_DIRECTIVE_PATTERN = /^\s*(@ts-nocheck|@ts-check|@flow|eslint-disable(?!-)|eslint-env)\b/;
+
+/**
+ * Checks whether a comment at the very top of a file belongs to the file rather than to the statement below it:
+ * a block comment, like a license, or a file-wide directive such as `// @ts-nocheck` or `// eslint-disable`.
+ * @param {object} comment - A comment from the AST
+ * @returns {boolean}
+ */
+const isFileHeaderComment = (comment) => comment.type === "CommentBlock" || FILE_DIRECTIVE_PATTERN.test(comment.value);
+
+/**
+ * Finds the comments that belong to an import (or re-export) and move with it: every comment since the previous
+ * one, or when something else comes before it, the comments directly above it; and the comments after it on its
+ * last line. Comments separated from the first import by a blank line stay where they are, and so do the license
+ * blocks and file-wide directives that start the file.
+ * @param {{node: object, key: number, container: object[]}} path - The path of the ImportDeclaration, or the
+ *        re-export with its index among its sibling statements
+ * @param {object[]} comments - All comments of the file
+ * @param {string} code - The source code
+ * @param {(comment: object) => boolean} isAttachable - Whether a comment may belong to an import at all
+ * @param {boolean} followsImport - Whether the previous statement is an import (or re-export) that is formatted too
+ * @returns {{leading: object[], trailing: object[]}} The comments above and after the statement
+ */
+const findImportComments = (path, comments, code, isAttachable, followsImport) => {
+    const { node } = path;
+    const previous = path.key > 0 ? path.container[path.key - 1] : null;
+    const next = path.container[path.key + 1];
+
+    // Comments on the last line of the previous statement are its own
+    const above = comments.filter(comment => comment.end <= node.start
+        && (!previous || (comment.start >= previous.end && comment.loc.start.line !== previous.loc.end.line)));
+
+    let leading = above.filter(isAttachable);
+    if (!followsImport) {
+        leading = [];
+        let line = node.loc.start.line;
+        for (const comment of [...above].reverse()) {
+            if (comment.loc.end.line < line - 1 || !isAttachable(comment)) break;
+            leading.unshift(comment);
+            line = comment.loc.start.line;
+        }
+        // A license block or file-wide directive that starts the file stays at the top; comments after it,
+        // like `// eslint-disable-next-line` or `// @ts-expect-error`, still belong to the import
+        let headerEnd = code.startsWith("#!") ? code.indexOf("\n") : 0;
+        while (leading.length > 0 && isFileHeaderComment(leading[0]) && code.slice(headerEnd, leading[0].start).trim() === "") {
+            headerEnd = leading[0].end;
+            leading = leading.slice(1);
+        }
+    }
+
+    const trailing = comments.filter(comment => comment.start >= node.end
+        && comment.loc.start.line === node.loc.end.line
+        && (!next || comment.end <= next.start)
+        && isAttachable(comment));
+
+    return { leading, trailing };
+};
+
+// Parser plugins shared by every file type
+const BASE_PLUGINS = [
+    "decorators-legacy",
+    "classProperties",
+    "objectRestSpread",
+    "asyncGenerators",
+    "functionBind",
+    "exportDefaultFrom",
+    "exportNamespaceFrom",
+    "dynamicImport",
+    "nullishCoalescingOperator",
+    "optionalChaining",
+];
+
+/**
+ * Picks the syntax plugins for a file based on its extension.
+ * Plain .ts files are parsed without JSX so that `<T>value` casts and generic arrows work.
+ * Unknown or missing extensions get both TypeScript and JSX.
+ * @param {string} [filePath] - The path of the file being parsed
+ * @returns {string[]} The Babel parser plugins
+ */
+const getParserPlugins = (filePath) => {
+    const extension = filePath ? extname(filePath).toLowerCase() : "";
+    if ([".ts", ".mts", ".cts"].includes(extension)) {
+        return ["typescript", ...BASE_PLUGINS];
+    }
+    return ["typescript", "jsx", ...BASE_PLUGINS];
+};
+
+/**
+ * Parses source code into a Babel AST.
+ * @param {string} code - The source code content
+ * @param {string} [filePath] - The path of the file, used to choose parser plugins
+ * @returns {object} The AST
+ */
+const parseCode = (code, filePath) => {
+    return parse(code, {
+        sourceType : "module",
+        plugins    : getParserPlugins(filePath),
+    });
+};
+
 /**
  * AST-based import extraction function.
  * Collects ALL imports and identifies the exact lines they occupy.
  * @param {string} code - The source code content
  * @param {object} config - The configuration object
- * @returns {{importStatements: string[], linesToRemove: Set<number>}}
+ * @param {string} [filePath] - The path of the file, used to choose parser plugins
+ * @param {object} [project] - What is known about the file's project
+ * @param {boolean} [project.verbatimModuleSyntax] - Whether its tsconfig enables verbatimModuleSyntax,
+ *        which limits how type imports may be converted
+ * @param {object} [project.jsxOptions] - How its tsconfig compiles JSX (see readJsxOptions), which decides
+ *        whether JSX uses `React` when REMOVE_UNUSED_IMPORTS is on
+ * @returns {{importStatements: string[], linesToRemove: Set<number>, importRange: {start: number, end: number}|null, parseError?: Error}}
+ *          importRange holds the first and last (0-based) lines of the imports themselves
  */
-const extractImports = (code, config) => {
+const extractImports = (code, config, filePath, { verbatimModuleSyntax = false, jsxOptions } = {}) => {
     try {
         const lines = code.split("\n");
         const ignoredRanges = findIgnoredRanges(lines);
 
-        const ast = parse(code, {
-            sourceType : "module",
-            plugins    : [
-                "typescript",
-                "jsx",
-                "decorators-legacy",
-                "classProperties",
-                "objectRestSpread",
-                "asyncGenerators",
-                "functionBind",
-                "exportDefaultFrom",
-                "exportNamespaceFrom",
-                "dynamicImport",
-                "nullishCoalescingOperator",
-                "optionalChaining",
-            ],
-        });
+        const ast = parseCode(code, filePath);
 
         const importNodes = [];
         const linesToRemove = new Set();
         let firstImportLine = -1;
         let lastImportLine = -1;
 
+        const headerRegex = new RegExp(`^\\s*//.*\\s[${config.HEADER_CHAR}]{3,}`);
+        const isAttachable = createAttachableFilter(code, headerRegex);
+
         traverse(ast, {
             ImportDeclaration(path) {
                 const node = path.node;
-                const importStartLine = node.loc.start.line - 1; // Convert to 0-based
-                const importEndLine = node.loc.end.line - 1; // Convert to 0-based
 
                 // Skip if this import should be ignored
-                if (isInIgnoredRange(importStartLine, ignoredRanges) ||
-                    hasIgnoreComment(importStartLine, lines)) {
+                if (isInIgnoredRange(node.loc.start.line - 1, ignoredRanges) ||
+                    hasIgnoreComment(node.loc.start.line - 1, lines)) {
                     return;
                 }
 
+                // Keep the import's own comments with it, instead of whatever Babel attached
+                const previous = path.key > 0 ? path.container[path.key - 1] : null;
+                const { leading, trailing } = findImportComments(path, ast.comments || [], code, isAttachable,
+                    importNodes.includes(previous));
+                node.leadingComments = leading;
+                node.trailingComments = trailing;
+
+                // The lines of the import include the lines of its comments
+                const importStartLine = (leading.length > 0 ? leading[0] : node).loc.start.line - 1; // Convert to 0-based
+                const importEndLine = (trailing.length > 0 ? trailing[trailing.length - 1] : node).loc.end.line - 1;
+
                 importNodes.push(node);
                 // Track the first and last import lines
                 if (firstImportLine === -1 || importStartLine < firstImportLine) {
@@ -117,15 +239,13 @@ const extractImports = (code, config) => {
         });
 
         if (importNodes.length === 0) {
-            return { importStatements : [], linesToRemove : new Set() };
+            return { importStatements : [], linesToRemove : new Set(), importRange : null };
         }
 
         // Expand linesToRemove to include the entire import block
         // This includes all lines from the first import to the last import,
         // including any comments or empty lines in between
         if (firstImportLine !== -1 && lastImportLine !== -1) {
-            const headerRegex = new RegExp(`^\\s*//.*\\s[${config.HEADER_CHAR}]{3,}`);
-
             // Include any empty lines or generated headers immediately before the first import
             let blockStart = firstImportLine;
             for (let i = firstImportLine - 1; i >= 0; i--) {
@@ -176,20 +296,147 @@ const extractImports = (code, config) => {
             }
         }
 
-        // Generate the import code strings from the collected AST nodes
-        // Remove all comments to avoid duplicating headers
-        const importStatements = importNodes.map((node) => {
-            // Clear both leading and trailing comments to prevent duplication
+        const usedNodes = config.REMOVE_UNUSED_IMPORTS
+            ? removeUnusedImports(ast, importNodes, { jsxOptions, keepJsdocImports : config.KEEP_JSDOC_IMPORTS })
+            : importNodes;
+        const inlineTypes = config.INLINE_TYPE_IMPORTS || config.TYPE_IMPORT_STYLE === "inline";
+        const mergedNodes = config.MERGE_DUPLICATES
+            ? mergeDuplicateImports(usedNodes, { inlineTypes })
+            : usedNodes;
+        const convertedNodes = convertTypeImports(mergedNodes, { style : config.TYPE_IMPORT_STYLE, verbatimModuleSyntax });
+        const statementNodes = config.SORT_SPECIFIERS
+            ? convertedNodes.map(node => sortSpecifiers(node, config))
+            : convertedNodes;
+
+        // Generate the import code strings from the collected AST nodes, with their comments copied from the
+        // source: leading ones on the lines above, trailing ones after the statement on its last line
+        const commentText = (comment) => code.slice(comment.start, comment.end);
+        // The generator drops the space after comments inside a statement, like `/* webpackChunkName: "x" */`,
+        // so statements that went through unchanged keep their source text then
+        const hasInnerComments = (node) => (ast.comments || []).some(comment => comment.start > node.start && comment.end < node.end);
+        const importStatements = statementNodes.map((node) => {
             const nodeCopy = { ...node, leadingComments : null, trailingComments : null };
-            return generate(nodeCopy, { compact : false }).code;
+            const keepSource = importNodes.includes(node) && hasInnerComments(node);
+            return joinImportComments({
+                leading   : (node.leadingComments || []).map(commentText).join("\n"),
+                statement : keepSource ? code.slice(node.start, node.end) : generate(nodeCopy, { compact : false }).code,
+                trailing  : (node.trailingComments || []).map(commentText).join(" "),
+            });
+        });
+
+        return {
+            importStatements,
+            linesToRemove,
+            importRange : { start : firstImportLine, end : lastImportLine },
+        };
+
+    } catch (error) {
+        // Return empty results on parse error and let the caller report it
+        return { importStatements : [], linesToRemove : new Set(), importRange : null, parseError : error };
+    }
+};
+
+/**
+ * Checks whether a top-level statement re-exports from another module: `export { a } from "x"`,
+ * `export type { A } from "x"`, `export * from "x"` or `export * as x from "x"`.
+ * @param {object} node - A statement
+ * @returns {boolean}
+ */
+const isReexport = (node) => (node.type === "ExportNamedDeclaration" || node.type === "ExportAllDeclaration")
+    && Boolean(node.source);
+
+/**
+ * AST-based re-export extraction, for FORMAT_REEXPORTS. Unlike imports, re-exports can be spread between local
+ * declarations, which stay where they are: only the re-exports themselves, their comments, generated headers and
+ * the blank lines left around them are removed. The formatted block goes where the first re-export was.
+ * @param {string} code - The source code content
+ * @param {object} config - The configuration object
+ * @param {string} [filePath] - The path of the file, used to choose parser plugins
+ * @returns {{exportStatements: string[], linesToRemove: Set<number>, exportRange: {start: number, end: number}|null, parseError?: Error}}
+ *          exportRange holds the first and last (0-based) lines of the re-exports and their comments
+ */
+const extractReexports = (code, config, filePath) => {
+    try {
+        const lines = code.split("\n");
+        const ignoredRanges = findIgnoredRanges(lines);
+        const ast = parseCode(code, filePath);
+        const headerRegex = new RegExp(`^\\s*//.*\\s[${config.HEADER_CHAR}]{3,}`);
+        const isAttachable = createAttachableFilter(code, headerRegex);
+
+        const exportNodes = [];
+        const linesToRemove = new Set();
+        let firstExportLine = -1;
+        let lastExportLine = -1;
+
+        const body = ast.program.body;
+        body.forEach((node, index) => {
+            const startLine = node.loc.start.line - 1; // Convert to 0-based
+            if (!isReexport(node) || isInIgnoredRange(startLine, ignoredRanges) || hasIgnoreComment(startLine, lines)) {
+                return;
+            }
+
+            const path = { node, key : index, container : body };
+            const { leading, trailing } = findImportComments(path, ast.comments || [], code, isAttachable,
+                exportNodes.includes(body[index - 1]));
+            exportNodes.push({ ...node, leadingComments : leading, trailingComments : trailing });
+
+            const exportStartLine = (leading.length > 0 ? leading[0] : node).loc.start.line - 1;
+            const exportEndLine = (trailing.length > 0 ? trailing[trailing.length - 1] : node).loc.end.line - 1;
+            if (firstExportLine === -1) {
+                firstExportLine = exportStartLine;
+            }
+            lastExportLine = exportEndLine;
+            for (let i = exportStartLine; i <= exportEndLine; i++) {
+                linesToRemove.add(i);
+            }
         });
 
-        return { importStatements, linesToRemove };
+        if (exportNodes.length === 0) {
+            return { exportStatements : [], linesToRemove : new Set(), exportRange : null };
+        }
+
+        // Generated headers between the re-exports, and right above the first one, are recreated
+        let blockStart = firstExportLine;
+        while (blockStart > 0 && (lines[blockStart - 1].trim() === "" || headerRegex.test(lines[blockStart - 1].trim()))) {
+            blockStart--;
+        }
+        for (let i = blockStart; i <= lastExportLine; i++) {
+            if (headerRegex.test(lines[i].trim())) {
+                linesToRemove.add(i);
+            }
+        }
+
+        // Blank lines next to a removed line would pile up where the re-exports were
+        for (let i = firstExportLine; i <= lastExportLine; i++) {
+            if (lines[i].trim() !== "") continue;
+            let above = i - 1;
+            while (above > firstExportLine && lines[above].trim() === "") above--;
+            let below = i + 1;
+            while (below < lastExportLine && lines[below].trim() === "") below++;
+            if (linesToRemove.has(above) || linesToRemove.has(below)) {
+                linesToRemove.add(i);
+            }
+        }
+
+        const statementNodes = config.SORT_SPECIFIERS
+            ? exportNodes.map(node => sortSpecifiers(node, config))
+            : exportNodes;
+        const commentText = (comment) => code.slice(comment.start, comment.end);
+        const exportStatements = statementNodes.map((node) => joinImportComments({
+            leading   : node.leadingComments.map(commentText).join("\n"),
+            statement : generate({ ...node, leadingComments : null, trailingComments : null }, { compact : false }).code,
+            trailing  : node.trailingComments.map(commentText).join(" "),
+        }));
+
+        return {
+            exportStatements,
+            linesToRemove,
+            exportRange : { start : firstExportLine, end : lastExportLine },
+        };
 
     } catch (error) {
-        console.error(`Failed to parse file with AST: ${error.message}`);
-        // Return empty results on parse error
-        return { importStatements : [], linesToRemove : new Set() };
+        // Return empty results on parse error and let the caller report it
+        return { exportStatements : [], linesToRemove : new Set(), exportRange : null, parseError : error };
     }
 };
 
@@ -197,30 +444,15 @@ const extractImports = (code, config) => {
  * AST-based interface/type extraction function.
  * Collects ALL interface and type declarations and identifies the exact lines they occupy.
  * @param {string} code - The source code content
- * @returns {{interfaceBlocks: Array<{node: object, startLine: number, endLine: number}>, linesToRemove: Set<number>}}
+ * @param {string} [filePath] - The path of the file, used to choose parser plugins
+ * @returns {{interfaceBlocks: Array<{node: object, startLine: number, endLine: number}>, linesToRemove: Set<number>, parseError?: Error}}
  */
-const extractInterfaceBlocks = (code) => {
+const extractInterfaceBlocks = (code, filePath) => {
     try {
         const lines = code.split("\n");
         const ignoredRanges = findIgnoredRanges(lines);
 
-        const ast = parse(code, {
-            sourceType : "module",
-            plugins    : [
-                "typescript",
-                "jsx",
-                "decorators-legacy",
-                "classProperties",
-                "objectRestSpread",
-                "asyncGenerators",
-                "functionBind",
-                "exportDefaultFrom",
-                "exportNamespaceFrom",
-                "dynamicImport",
-                "nullishCoalescingOperator",
-                "optionalChaining",
-            ],
-        });
+        const ast = parseCode(code, filePath);
 
         const interfaceBlocks = [];
         const linesToRemove = new Set();
@@ -294,13 +526,14 @@ const extractInterfaceBlocks = (code) => {
         return { interfaceBlocks, linesToRemove };
 
     } catch (error) {
-        console.error(`Failed to parse file with AST for interfaces: ${error.message}`);
-        // Return empty results on parse error
-        return { interfaceBlocks : [], linesToRemove : new Set() };
+        // Return empty results on parse error and let the caller report it
+        return { interfaceBlocks : [], linesToRemove : new Set(), parseError : error };
     }
 };
 
 module.exports = {
+    parseCode,
     extractImports,
+    extractReexports,
     extractInterfaceBlocks,
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Flags understood by the CLI, keyed by their command-line spelling
+const FLAG_DEFINITIONS = {
+    "--check"          : { key : "check", takesValue : false },
+    "--diff"           : { key : "diff", takesValue : false },
+    "--stdin"          : { key : "stdin", takesValue : false },
+    "--stdin-filepath" : { key : "stdinFilepath", takesValue : true },
+    "--lsp"            : { key : "lsp", takesValue : false },
+    "--watch"          : { key : "watch", takesValue : false },
+    "--staged"         : { key : "staged", takesValue : false },
+    "--changed-since"  : { key : "changedSince", takesValue : true },
+    "--range"          : { key : "range", takesValue : true },
+    "--config"         : { key : "configFile", takesValue : true },
+    "--strict"         : { key : "strict", takesValue : false },
+    "--force"          : { key : "force", takesValue : false },
+    "--dry-run"        : { key : "dryRun", takesValue : false },
+    "--print-config"   : { key : "printConfig", takesValue : true },
+};
+
+/**
+ * Parses command-line arguments into options and positional targets.
+ * Supports "--flag", "--flag value", "--flag=value" and "--" to end option parsing.
+ * @param {string[]} argv - The arguments, without the node binary and script path
+ * @returns {{options: object, targets: string[], errors: string[]}} The parsed arguments
+ */
+const parseArgs = (argv) => {
+    const options = {};
+    const targets = [];
+    const errors = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === "--") {
+            targets.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith("--")) {
+            targets.push(arg);
+            continue;
+        }
+
+        const [flag, inlineValue] = arg.includes("=")
+            ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)]
+            : [arg, undefined];
+        const definition = FLAG_DEFINITIONS[flag];
+
+        if (!definition) {
+            errors.push(`Unknown option: ${flag}`);
+            continue;
+        }
+
+        if (!definition.takesValue) {
+            if (inlineValue !== undefined) {
+                errors.push(`Option ${flag} does not take a value`);
+            }
+            options[definition.key] = true;
+            continue;
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : argv[i + 1];
+        if (value === undefined || (inlineValue === undefined && value.startsWith("--"))) {
+            errors.push(`Option ${flag} requires a value`);
+            continue;
+        }
+        if (inlineValue === undefined) {
+            i++;
+        }
+        options[definition.key] = value;
+    }
+
+    return { options, targets, errors };
+};
+
+/**
+ * Parses a "start:end" line range, 1-based and inclusive, e.g. "120:180".
+ * @param {string} value - The range as given on the command line
+ * @returns {{start: number, end: number}|null} The range, or null if it is malformed
+ */
+const parseRange = (value) => {
+    const match = /^(\d+):(\d+)$/.exec(value.trim());
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    const end = parseInt(match[2], 10);
+    if (start < 1 || end < start) return null;
+
+    return { start, end };
+};
+
+module.exports = {
+    parseArgs,
+    parseRange,
+};
\ No newline at end of file
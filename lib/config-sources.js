@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+const {
+    loadConfig,
+    findConfigPath,
+    readConfigFile,
+    readConfigChain,
+    overrideApplies,
+    toGroupLabel,
+    OVERRIDES_SECTION_PATTERN,
+    SETTINGS_SCHEMA,
+} = require("./config");
+const { readConfigDocument } = require("./config-validator");
+const { applyDetectedIndent } = require("./indent");
+
+// The group normalizeGroups appends when a config doesn't place it
+const OTHER_GROUP_LABEL = "// OTHER ";
+
+/**
+ * Shows a path relative to the working directory, like the rest of the CLI output.
+ * @param {string} filePath - The absolute path
+ * @returns {string} The path to show
+ */
+const displayPath = (filePath) => path.relative(process.cwd(), filePath) || filePath;
+
+/**
+ * Describes where something was written, as file:line when the line is known.
+ * @param {string} configPath - The config file
+ * @param {?{line: number}} location - The location in the file
+ * @returns {string} The description
+ */
+const describeLocation = (configPath, location) => location
+    ? `${displayPath(configPath)}:${location.line}`
+    : displayPath(configPath);
+
+/**
+ * Lists a config file and the files it extends, parents first.
+ * Only call this once readConfigChain has succeeded, so the chain has no loops or missing files.
+ * @param {string} configPath - The absolute config file path
+ * @returns {string[]} The config files, from the root of the chain down to configPath
+ */
+const listChainFiles = (configPath) => {
+    const files = [configPath];
+    let partialConfig = readConfigFile(configPath);
+
+    while (partialConfig && typeof partialConfig.extends === "string") {
+        const parentPath = path.resolve(path.dirname(files[0]), partialConfig.extends);
+        files.unshift(parentPath);
+        partialConfig = readConfigFile(parentPath);
+    }
+    return files;
+};
+
+/**
+ * Checks whether a document scope (see readConfigDocument) is the one an override came from:
+ * [overrides "glob"] in INI files, overrides[i] in object configs.
+ * @param {?string} scope - The scope of a setting in the document
+ * @param {object} origin - The origin of a prepared override
+ * @returns {boolean}
+ */
+const isOverrideScope = (scope, origin) => {
+    if (!scope) return false;
+    if (scope === `overrides[${origin.index}]`) return true;
+
+    const sectionMatch = scope.replace(/^\[|\]$/g, "").match(OVERRIDES_SECTION_PATTERN);
+    return Boolean(sectionMatch) && origin.globs.includes(sectionMatch[2]);
+};
+
+/**
+ * Finds the line a setting was last written on within a scope of a document.
+ * @param {?object} document - From readConfigDocument
+ * @param {string} key - The setting
+ * @param {(scope: ?string) => boolean} inScope - Picks the scope to look in
+ * @returns {?{line: number, column: number}} The location, if known
+ */
+const findSettingLocation = (document, key, inScope) => {
+    const settings = document ? document.settings.filter(setting => setting.key === key && inScope(setting.scope)) : [];
+    return settings.length > 0 ? settings[settings.length - 1].location : null;
+};
+
+/**
+ * Works out the effective config for a file and where each value comes from: the defaults,
+ * a line of a config file (or of a config it extends), an override section, or indentation
+ * detected from the file itself.
+ * @param {string} filePath - The file whose config to explain; it doesn't have to exist
+ * @param {object} [options] - Loading options
+ * @param {string} [options.configFile] - Use this config file instead of searching for one
+ * @returns {object} The explanation: the config files involved, overrides applied, and every
+ *          setting and group with its value and source
+ */
+const explainConfig = (filePath, { configFile } = {}) => {
+    const absolutePath = path.resolve(filePath);
+    const configPath = configFile
+        ? path.resolve(configFile)
+        : findConfigPath(path.dirname(absolutePath));
+    const config = loadConfig(absolutePath, { configFile });
+
+    const explanation = {
+        file      : displayPath(absolutePath),
+        config    : configPath ? displayPath(configPath) : null,
+        extends   : [],
+        overrides : [],
+        settings  : {},
+        groups    : [],
+    };
+
+    let chain = null;
+    if (configPath) {
+        try {
+            chain = readConfigChain(configPath);
+        } catch (e) {
+            explanation.error = `${e.message}; the defaults are used instead.`;
+        }
+    }
+
+    const settingSources = {}; // key -> { value, source } of the last place that set it
+    const groupSources = new Map(); // group label -> source
+
+    if (chain) {
+        const chainFiles = listChainFiles(configPath);
+        explanation.extends = chainFiles.slice(0, -1).reverse().map(displayPath);
+
+        for (const chainFile of chainFiles) {
+            const partialConfig = readConfigFile(chainFile) || {};
+            const { document } = readConfigDocument(chainFile);
+
+            for (const key of Object.keys(SETTINGS_SCHEMA)) {
+                if (partialConfig[key] === undefined) continue;
+                const location = findSettingLocation(document, key, scope => !scope);
+                settingSources[key] = { value : partialConfig[key], source : describeLocation(chainFile, location) };
+            }
+
+            // As in mergeGroups, a later file that redefines a group replaces its matchers
+            for (const group of (document ? document.groups : [])) {
+                if (typeof group.name !== "string" || !group.name.trim()) continue;
+                groupSources.set(toGroupLabel(group.name), describeLocation(chainFile, group.location));
+            }
+        }
+
+        for (const override of chain.overrides.filter(override => overrideApplies(override, absolutePath))) {
+            const { configPath : declaringFile, index, globs } = override.origin;
+            const { document } = readConfigDocument(declaringFile);
+            const scopeName = `overrides "${globs.join("\", \"")}"`;
+            explanation.overrides.push(`${scopeName} in ${displayPath(declaringFile)}`);
+
+            for (const [key, value] of Object.entries(override.settings)) {
+                if (!SETTINGS_SCHEMA[key]) continue;
+                const location = findSettingLocation(document, key, scope => isOverrideScope(scope, { index, globs }));
+                settingSources[key] = { value, source : `${describeLocation(declaringFile, location)} [${scopeName}]` };
+            }
+        }
+    }
+
+    for (const [key, { parse }] of Object.entries(SETTINGS_SCHEMA)) {
+        const setting = settingSources[key];
+        let source = "default";
+        if (setting) {
+            source = parse(setting.value) === undefined
+                ? `default (the value at ${setting.source} is invalid)`
+                : setting.source;
+        }
+        explanation.settings[key] = { value : config[key], source };
+    }
+
+    // Formatting a file adopts its own indentation when the config resolves to spaces/4
+    if (fs.existsSync(absolutePath) && fs.statSync(absolutePath).isFile()) {
+        const { config : workingConfig, detected } = applyDetectedIndent(config, fs.readFileSync(absolutePath, "utf8"));
+        if (detected) {
+            for (const key of ["INDENT_TYPE", "INDENT_SIZE"]) {
+                const previous = explanation.settings[key];
+                explanation.settings[key] = {
+                    value  : workingConfig[key],
+                    source : `auto-detected from ${explanation.file} (replaces ${JSON.stringify(previous.value)} from ${previous.source})`,
+                };
+            }
+        }
+    }
+
+    explanation.groups = config.groups.map(group => {
+        let source = groupSources.get(group.name) || "default";
+        if (group.name === OTHER_GROUP_LABEL && !groupSources.has(group.name) && groupSources.size > 0) {
+            source = "added automatically";
+        }
+        return {
+            name     : group.name.replace(/^\/\/\s*/, "").trim(),
+            matchers : group.matchers.map(matcher => typeof matcher === "function" ? "[function]" : matcher),
+            source,
+        };
+    });
+
+    return explanation;
+};
+
+module.exports = {
+    explainConfig,
+};
\ No newline at end of file
@@ -0,0 +1,512 @@
+const fs = require("fs");
+const path = require("path");
+const {
+    readConfigFile,
+    readIniEntries,
+    splitMatcherList,
+    toGroupLabel,
+    OVERRIDES_SECTION_PATTERN,
+    SETTINGS_SCHEMA,
+} = require("./config");
+const { createMatcher, getMatcherKind, getExactName, PACKAGE_KEYWORDS } = require("./import-matchers");
+const { TYPES_GROUP_LABEL, SIDE_EFFECTS_GROUP_LABEL } = require("./import-formatter");
+
+// Top-level keys that aren't settings but are still understood
+const STRUCTURE_KEYS = ["groups", "extends", "overrides"];
+
+// Sections understood in the INI-style .seriseirc, besides [overrides "glob"]
+const KNOWN_SECTIONS = ["groups", "overrides"];
+
+/**
+ * Counts the single-character edits needed to turn one string into another (Levenshtein distance).
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} The edit distance
+ */
+const getEditDistance = (a, b) => {
+    let previous = Array.from({ length : b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+/**
+ * Builds a " Did you mean …?" hint for a misspelt word, ignoring case.
+ * @param {string} word - What was written
+ * @param {string[]} candidates - What could have been meant
+ * @param {(candidate: string) => string} [display] - How to show the suggestion
+ * @returns {string} The hint, or an empty string when nothing is close enough
+ */
+const suggest = (word, candidates, display = (candidate) => candidate) => {
+    const maxDistance = Math.max(1, Math.floor(word.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+        const distance = getEditDistance(word.toLowerCase(), candidate.toLowerCase());
+        if (distance <= maxDistance && distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    return best ? ` Did you mean ${display(best)}?` : "";
+};
+
+/**
+ * Converts an offset in a text into a 1-based line and column.
+ * @param {string} content - The text
+ * @param {number} index - The 0-based offset
+ * @returns {{line: number, column: number}} The location
+ */
+const toLocation = (content, index) => {
+    const before = content.slice(0, index).split("\n");
+    return { line : before.length, column : before[before.length - 1].length + 1 };
+};
+
+/**
+ * Creates a function that finds JSON tokens (keys and string values) in a file, in reading order.
+ * Good enough to point at the right line without a full JSON parser that keeps positions.
+ * @param {string} content - The file contents
+ * @param {number} [startIndex=0] - Where the config starts, e.g. the "serisei" key in package.json
+ * @returns {(value: *, fromIndex?: number) => ({line: number, column: number, index: number}|null)} The locator
+ */
+const createJsonLocator = (content, startIndex = 0) => (value, fromIndex = startIndex) => {
+    const index = content.indexOf(JSON.stringify(value), fromIndex);
+    return index === -1 ? null : { ...toLocation(content, index), index };
+};
+
+/**
+ * Reads an INI-style .seriseirc into the shape validateDocument works on.
+ * @param {string} content - The file contents
+ * @returns {object} The document
+ */
+const readIniDocument = (content) => {
+    const document = { settings : [], sections : [], groups : [], problems : [] };
+
+    for (const entry of readIniEntries(content)) {
+        const location = { line : entry.line, column : entry.column };
+
+        if (entry.type === "section") {
+            document.sections.push({ name : entry.name, location });
+        } else if (entry.section === "groups") {
+            document.groups.push({
+                name     : entry.key,
+                location,
+                matchers : entry.matchers.map(matcher => ({
+                    value    : matcher.value,
+                    location : { line : entry.line, column : matcher.column },
+                })),
+            });
+        } else {
+            const inOverride = Boolean(entry.section && OVERRIDES_SECTION_PATTERN.test(entry.section));
+            document.settings.push({
+                key           : entry.key,
+                value         : entry.value,
+                scope         : inOverride ? `[${entry.section}]` : null,
+                location,
+                valueLocation : { line : entry.line, column : entry.valueColumn },
+            });
+        }
+    }
+
+    return document;
+};
+
+/**
+ * Adds the overrides of a config object to a document: each needs files, the rest are settings.
+ * @param {*} overrides - The overrides value from the config
+ * @param {?object} location - Where the overrides key is
+ * @param {Function} locate - Finds a key or string value in the file
+ * @param {object} document - The document being built
+ */
+const readObjectOverrides = (overrides, location, locate, document) => {
+    if (!Array.isArray(overrides)) {
+        document.problems.push({ message : "overrides must be an array of { files, ...settings }.", location });
+        return;
+    }
+
+    let searchFrom = location ? location.index : undefined;
+    overrides.forEach((override, index) => {
+        const scope = `overrides[${index}]`;
+        if (!override || typeof override !== "object" || Array.isArray(override)) {
+            document.problems.push({ message : `${scope} must be an object.`, location });
+            return;
+        }
+
+        const files = [].concat(override.files === undefined ? [] : override.files);
+        const foundFiles = override.files === undefined ? null : locate("files", searchFrom);
+        const filesLocation = foundFiles || location;
+        // Later overrides are searched for after this one
+        searchFrom = foundFiles ? foundFiles.index + 1 : searchFrom;
+        if (files.length === 0 || !files.every(glob => typeof glob === "string" && glob)) {
+            document.problems.push({ message : `${scope} needs files: a glob or an array of globs.`, location : filesLocation });
+        }
+
+        for (const [key, value] of Object.entries(override)) {
+            if (key === "files") continue;
+            const settingLocation = locate(key, searchFrom) || filesLocation;
+            document.settings.push({ key, value, scope, location : settingLocation, valueLocation : settingLocation });
+        }
+    });
+};
+
+/**
+ * Reads a config object (from JSON, package.json or a JS module) into the shape validateDocument works on.
+ * @param {*} config - The config value
+ * @param {Function} [locate] - Finds a key or string value in the file, from createJsonLocator
+ * @returns {object} The document
+ */
+const readObjectDocument = (config, locate = () => null) => {
+    const document = { settings : [], sections : [], groups : [], problems : [] };
+
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        document.problems.push({ message : "The config must be an object.", location : null });
+        return document;
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+        const location = locate(key);
+
+        if (key === "overrides") {
+            readObjectOverrides(value, location, locate, document);
+            continue;
+        }
+
+        if (key !== "groups") {
+            document.settings.push({ key, value, scope : null, location, valueLocation : location });
+            continue;
+        }
+
+        if (!value || typeof value !== "object") {
+            document.problems.push({
+                message : "groups must be an array of { name, matchers } or an object of name -> matchers.",
+                location,
+            });
+            continue;
+        }
+
+        const entries = Array.isArray(value)
+            ? value.map(group => [group && group.name, group && group.matchers])
+            : Object.entries(value);
+
+        let searchFrom = location ? location.index : undefined;
+        for (const [name, matchers] of entries) {
+            const groupLocation = (name !== undefined && locate(name, searchFrom)) || location;
+            searchFrom = groupLocation ? groupLocation.index : searchFrom;
+
+            if (typeof name !== "string") {
+                document.problems.push({ message : "Every group needs a name.", location : groupLocation });
+                continue;
+            }
+
+            let matcherList = [];
+            if (typeof matchers === "string") {
+                matcherList = splitMatcherList(matchers).map(matcher => matcher.value);
+            } else if (Array.isArray(matchers)) {
+                matcherList = matchers;
+            } else if (matchers !== undefined) {
+                document.problems.push({
+                    message  : `The matchers of group "${name}" must be a string or an array.`,
+                    location : groupLocation,
+                });
+            }
+
+            document.groups.push({
+                name,
+                location : groupLocation,
+                matchers : matcherList.map(matcher => {
+                    const matcherLocation = typeof matcher === "string" ? locate(matcher, searchFrom) : null;
+                    return { value : matcher, location : matcherLocation || groupLocation };
+                }),
+            });
+        }
+    }
+
+    return document;
+};
+
+/**
+ * Checks whether an earlier matcher already catches every import a later one would.
+ * Only decides the cases that can be proven: the same matcher, an exact name the earlier matcher
+ * accepts, and a "contains" matcher that includes the earlier one.
+ * @param {string|Function} earlier - The matcher in the earlier group
+ * @param {string} later - The matcher in the later group
+ * @returns {boolean}
+ */
+const shadows = (earlier, later) => {
+    if (typeof earlier !== "string") return false;
+    if (earlier === later) return true;
+
+    const earlierKind = getMatcherKind(earlier);
+    const laterKind = getMatcherKind(later);
+
+    if (laterKind === "exact") {
+        return createMatcher(earlier)(getExactName(later), "");
+    }
+    if (laterKind === "contains" && earlierKind === "contains") {
+        return later.includes(earlier);
+    }
+    return false;
+};
+
+/**
+ * Checks a config document for problems.
+ * @param {object} document - From readIniDocument or readObjectDocument
+ * @returns {Array<{severity: "error"|"warning", message: string, location: ?{line: number, column: number}}>}
+ *          The problems found
+ */
+const validateDocument = (document) => {
+    const diagnostics = [];
+    const error = (message, location) => diagnostics.push({ severity : "error", message, location });
+    const warning = (message, location) => diagnostics.push({ severity : "warning", message, location });
+
+    document.problems.forEach(problem => error(problem.message, problem.location));
+
+    for (const section of document.sections) {
+        if (OVERRIDES_SECTION_PATTERN.test(section.name) || section.name === "groups") continue;
+
+        if (section.name.startsWith("overrides")) {
+            error(`[${section.name}] needs a quoted glob, e.g. [overrides "packages/legacy/**"].`, section.location);
+        } else {
+            const hint = suggest(section.name, KNOWN_SECTIONS, name => `[${name}]`);
+            error(`Unknown section [${section.name}].${hint}`, section.location);
+        }
+    }
+
+    const settingsSeen = new Map(); // scope + key -> the setting that set it first
+    for (const setting of document.settings) {
+        const schema = SETTINGS_SCHEMA[setting.key];
+        const scopeLabel = setting.scope ? ` in ${setting.scope}` : "";
+
+        if (setting.scope && STRUCTURE_KEYS.includes(setting.key)) {
+            error(`${setting.key} can't be used${scopeLabel}: overrides only change settings. `
+                + "Put groups in a config that extends this one.", setting.location);
+            continue;
+        }
+
+        if (setting.key === "extends") {
+            if (typeof setting.value !== "string" || !setting.value) {
+                error("extends must be the path of another config file.", setting.valueLocation);
+            }
+            continue;
+        }
+
+        if (!schema) {
+            const knownKeys = [...Object.keys(SETTINGS_SCHEMA), ...STRUCTURE_KEYS];
+            error(`Unknown setting ${setting.key}${scopeLabel}.${suggest(setting.key, knownKeys)}`, setting.location);
+            continue;
+        }
+
+        const seenKey = `${setting.scope}\0${setting.key}`;
+        const firstSetting = settingsSeen.get(seenKey);
+        if (firstSetting) {
+            const where = firstSetting.location ? ` on line ${firstSetting.location.line}` : "";
+            warning(`${setting.key} is already set${where}${scopeLabel}; the last value wins.`, setting.location);
+        } else {
+            settingsSeen.set(seenKey, setting);
+        }
+
+        if (schema.parse(setting.value) === undefined) {
+            const hint = schema.values ? suggest(String(setting.value), schema.values, JSON.stringify) : "";
+            error(`Invalid value ${JSON.stringify(setting.value)} for ${setting.key}: expected ${schema.expected}.${hint}`,
+                setting.valueLocation);
+        }
+    }
+
+    const groupsSeen = new Map(); // label -> the group that defined it first
+    const earlierGroups = [];
+    let catchAllGroup = null;
+
+    for (const group of document.groups) {
+        const label = toGroupLabel(group.name);
+        const displayName = label.slice(3).trim();
+
+        if (!displayName) {
+            error("Every group needs a name.", group.location);
+            continue;
+        }
+
+        const firstGroup = groupsSeen.get(label);
+        if (firstGroup) {
+            const where = firstGroup.location ? ` on line ${firstGroup.location.line}` : "";
+            error(`Group ${displayName} is already defined${where}.`, group.location);
+            continue;
+        }
+        groupsSeen.set(label, group);
+
+        const validMatchers = [];
+        for (const matcher of group.matchers) {
+            if (typeof matcher.value !== "string" && typeof matcher.value !== "function") {
+                error(`Matchers must be strings (or functions in JS configs), got ${JSON.stringify(matcher.value)}.`,
+                    matcher.location);
+                continue;
+            }
+            // A scoped package name always has a slash, so a bare @name can only be a misspelt keyword
+            if (typeof matcher.value === "string" && /^@[^/]+$/.test(matcher.value) && !PACKAGE_KEYWORDS.includes(matcher.value)) {
+                error(`Unknown matcher ${matcher.value}: expected ${PACKAGE_KEYWORDS.join(", ")}.`
+                    + suggest(matcher.value, PACKAGE_KEYWORDS), matcher.location);
+                continue;
+            }
+            try {
+                createMatcher(matcher.value);
+                validMatchers.push(matcher);
+            } catch (e) {
+                const reason = e.message.replace(/^Invalid regular expression: .*?: /, "");
+                error(`Invalid regular expression ${matcher.value}: ${reason}`, matcher.location);
+            }
+        }
+
+        if (catchAllGroup) {
+            warning(`Group ${displayName} can never match: ${catchAllGroup} above it catches every import.`,
+                group.location);
+            continue;
+        }
+
+        for (const matcher of validMatchers) {
+            if (typeof matcher.value !== "string") continue;
+
+            const shadowing = earlierGroups.find(earlier => earlier.matchers.some(value => shadows(value, matcher.value)));
+            if (shadowing) {
+                const shadowingMatcher = shadowing.matchers.find(value => shadows(value, matcher.value));
+                warning(`Matcher ${matcher.value} in group ${displayName} can never match: `
+                    + `group ${shadowing.name} matches it first with ${shadowingMatcher}.`, matcher.location);
+            }
+        }
+
+        // Same rule as assignImportGroups: OTHER and groups without matchers take everything,
+        // except the TYPES and SIDE EFFECTS groups, which only take their own kind of import
+        const reserved = label === TYPES_GROUP_LABEL || label === SIDE_EFFECTS_GROUP_LABEL;
+        if (label.includes("OTHER") || (group.matchers.length === 0 && !reserved)) {
+            catchAllGroup = displayName;
+        }
+        earlierGroups.push({ name : displayName, matchers : validMatchers.map(matcher => matcher.value) });
+    }
+
+    return diagnostics;
+};
+
+/**
+ * Reads a JSON file for validation, turning syntax errors into a located problem.
+ * @param {string} content - The file contents
+ * @returns {{value: *, problem: ?object}} The parsed value, or the problem that stopped parsing
+ */
+const parseJsonForValidation = (content) => {
+    try {
+        return { value : JSON.parse(content), problem : null };
+    } catch (e) {
+        const positionMatch = e.message.match(/at position (\d+)/);
+        return {
+            value   : undefined,
+            problem : {
+                message  : `Invalid JSON: ${e.message.replace(/\s*in JSON at position \d+.*$/, "")}.`,
+                location : positionMatch ? toLocation(content, parseInt(positionMatch[1], 10)) : null,
+            },
+        };
+    }
+};
+
+/**
+ * Reads a config file of any supported format into a document that keeps where each setting,
+ * group and matcher was written (JS configs have no locations).
+ * @param {string} configPath - The config file path
+ * @returns {{document: ?object, problem: ?object}} The document, or the error that stopped it being read
+ */
+const readConfigDocument = (configPath) => {
+    const fileName = path.basename(configPath);
+    const extension = path.extname(configPath);
+
+    try {
+        if (extension === ".json") {
+            const content = fs.readFileSync(configPath, "utf8");
+            const { value, problem } = parseJsonForValidation(content);
+            if (problem) {
+                return { document : null, problem : { severity : "error", ...problem } };
+            }
+
+            if (fileName === "package.json") {
+                if (value.serisei === undefined) {
+                    return {
+                        document : null,
+                        problem  : { severity : "error", message : "package.json has no \"serisei\" key.", location : null },
+                    };
+                }
+                return { document : readObjectDocument(value.serisei, createJsonLocator(content, content.indexOf("\"serisei\""))), problem : null };
+            }
+            return { document : readObjectDocument(value, createJsonLocator(content)), problem : null };
+        }
+        if ([".js", ".cjs", ".mjs"].includes(extension)) {
+            return { document : readObjectDocument(readConfigFile(configPath)), problem : null };
+        }
+        return { document : readIniDocument(fs.readFileSync(configPath, "utf8")), problem : null };
+    } catch (e) {
+        return { document : null, problem : { severity : "error", message : e.message, location : null } };
+    }
+};
+
+/**
+ * Validates a config file of any supported format: unknown keys and sections (with suggestions),
+ * invalid values, duplicate groups, matchers that an earlier group shadows, overrides and extends.
+ * The configs it extends are validated too, since their settings end up in the same config.
+ * @param {string} configPath - The config file path
+ * @param {string[]} [visited] - Files already on the extends chain, to catch loops
+ * @returns {Array<{file: string, severity: "error"|"warning", message: string, location: ?{line: number, column: number}}>}
+ *          The problems found, in file order, the file's own first and then those of each config it extends
+ */
+const validateConfigFile = (configPath, visited = []) => {
+    const file = path.resolve(configPath);
+    const { document, problem } = readConfigDocument(file);
+    if (problem) {
+        return [{ file, ...problem }];
+    }
+
+    const diagnostics = validateDocument(document).map(diagnostic => ({ file, ...diagnostic }));
+
+    // Missing parents and extends loops only show up when following the chain
+    let parentPath = null;
+    const extendsSetting = document.settings.find(setting => setting.key === "extends" && !setting.scope);
+    if (extendsSetting && typeof extendsSetting.value === "string" && extendsSetting.value) {
+        const chain = [...visited, file];
+        const resolved = path.resolve(path.dirname(file), extendsSetting.value);
+        const chainError = (message) => ({ file, severity : "error", message, location : extendsSetting.valueLocation });
+        if (chain.includes(resolved)) {
+            diagnostics.push(chainError(`Config files extend each other in a loop: ${[...chain, resolved].join(" -> ")}.`));
+        } else if (!fs.existsSync(resolved)) {
+            diagnostics.push(chainError(`Cannot extend ${extendsSetting.value}: file not found.`));
+        } else {
+            parentPath = resolved;
+        }
+    }
+
+    const positionOf = (diagnostic) => diagnostic.location
+        ? diagnostic.location.line * 1e6 + diagnostic.location.column
+        : 0;
+    diagnostics.sort((a, b) => positionOf(a) - positionOf(b));
+    return parentPath ? [...diagnostics, ...validateConfigFile(parentPath, [...visited, file])] : diagnostics;
+};
+
+/**
+ * Formats a problem the way compilers do, e.g. ".seriseirc:3:1: error: Unknown setting …".
+ * @param {object} diagnostic - A problem from validateConfigFile
+ * @param {string} fileName - The path to show for the diagnostic's file
+ * @returns {string} The formatted line
+ */
+const formatDiagnostic = (diagnostic, fileName) => {
+    const { location } = diagnostic;
+    const position = location ? `:${location.line}:${location.column}` : "";
+    return `${fileName}${position}: ${diagnostic.severity}: ${diagnostic.message}`;
+};
+
+module.exports = {
+    validateConfigFile,
+    readConfigDocument,
+    formatDiagnostic,
+};
\ No newline at end of file
@@ -1,148 +1,707 @@
 const fs = require("fs");
 const path = require("path");
+const { findUpwards } = require("./file-utils");
+const { createMatcher, isRegexMatcher } = require("./import-matchers");
+const { globToRegExp } = require("./glob");
+const { IMPORT_KINDS } = require("./import-sorter");
+
+// Caches shared across a run so multi-file runs only search and parse each config file once
+const configPathCache = new Map(); // directory -> resolved config file path (or null)
+const configChainCache = new Map(); // config file path -> partial config with extends resolved (or null if broken)
+const parsedConfigCache = new Map(); // config file path + matching overrides -> config object
+
+// Settings used when no .seriseirc is found, and as the base that config files override
+const defaultConfig = {
+    HEADER_CHAR           : "=",
+    TO_COLUMN_WIDTH       : 120,
+    EXPAND_METHODS        : true,  // Always expand methods to multi-line format
+    FORMAT_TYPES          : true,  // Align types and interfaces; false only regroups imports
+    MERGE_DUPLICATES      : false, // Merge imports of the same module into one statement
+    INLINE_TYPE_IMPORTS   : false, // Let merging turn `import type { A }` into `type A` inside a value import
+    REMOVE_UNUSED_IMPORTS : false, // Drop imported names the file never uses
+    KEEP_JSDOC_IMPORTS    : false, // Count names in JSDoc types and {@link}s as used
+    FORMAT_REEXPORTS      : false, // Group and sort `export … from` re-exports in a second block
+    SORT_BY               : "statement", // "statement" | "module": what imports within a group are sorted by
+    SORT_ORDER            : "ordinal",   // "ordinal" | "case-insensitive" | "natural"
+    SORT_SPECIFIERS       : false,       // Sort the names inside import braces
+    TYPE_SPECIFIERS_FIRST : false,       // Put inline `type` names first when sorting them
+    IMPORT_KIND_ORDER     : [],          // e.g. ["side-effect", "namespace", "default", "named"]; empty keeps them mixed
+    TYPE_IMPORTS          : "mixed",     // "mixed" | "last" in each group | "group" for a TYPES group
+    TYPE_IMPORT_STYLE     : "keep",      // "keep" | "separate" for `import type {}` | "inline" for `{ type A }`
+    SIDE_EFFECT_IMPORTS   : "barrier",   // "barrier" keeps `import "x"` in place | "group" | "sort" like other imports
+    INDENT_TYPE           : "spaces", // "spaces" | "tabs"
+    INDENT_SIZE           : 4,        // number of spaces (ignored if tabs)
+    groups                : [
+        // Node built-ins and the packages in the nearest package.json, worked out per file
+        { name : "// EXTERNAL ", matchers : ["@builtins", "@dependencies"] },
+        { name : "// CONTEXTS ", matchers : ["contexts/"] },
+        { name : "// COMPONENTS ", matchers : ["components/"] },
+        { name : "// CONFIGS ", matchers : ["configs/"] },
+        { name : "// LIB ", matchers : ["lib/"] },
+        { name : "// LOGIC ", matchers : ["logic/"] },
+        { name : "// DATA ", matchers : ["mock-data/"] },
+        { name : "// HOOKS ", matchers : ["hooks/"] },
+        { name : "// STORES ", matchers : ["store/"] },
+        { name : "// SERVICES ", matchers : ["services/"] },
+        { name : "// STYLES ", matchers : ["styles/", ".css"] },
+        { name : "// TYPES ", matchers : ["types", "typings"] },
+        { name : "// UTILS ", matchers : ["utils/"] },
+        { name : "// ASSETS ", matchers : ["assets/"] },
+        { name : "// OTHER ", matchers : [] },
+    ],
+};
+
+// Config file names, in order of precedence when several sit in the same directory.
+// package.json only counts when it has a "serisei" key.
+const CONFIG_FILE_NAMES = [
+    ".seriseirc",
+    ".seriseirc.json",
+    "serisei.config.js",
+    "serisei.config.cjs",
+    "serisei.config.mjs",
+    "package.json",
+];
 
 /**
- * Loads configuration by searching upwards from a starting directory for a .seriseirc file.
- * Falls back to default values if no config file is found.
- * @param {string} startPath The path of the file being processed.
- * @returns {object} The resolved configuration object.
+ * Reads a whole positive number, e.g. "80" or 80.
+ * @param {string|number} value - The value from the config
+ * @returns {number|undefined} The number, or undefined if the value isn't one
+ */
+const parsePositiveInteger = (value) => {
+    const number = Number(String(value).trim());
+    return Number.isInteger(number) && number > 0 ? number : undefined;
+};
+
+/**
+ * Reads a boolean, e.g. "true", "FALSE" or false.
+ * @param {string|boolean} value - The value from the config
+ * @returns {boolean|undefined} The boolean, or undefined if the value isn't one
+ */
+const parseBoolean = (value) => {
+    const text = String(value).toLowerCase();
+    return text === "true" || text === "false" ? text === "true" : undefined;
+};
+
+/**
+ * Parses IMPORT_KIND_ORDER: a comma-separated list (or an array) of import kinds, each at most once.
+ * @param {*} value - The raw value
+ * @returns {string[]|undefined} The kinds in order, or undefined if any is unknown or repeated
+ */
+const parseImportKindOrder = (value) => {
+    const kinds = (Array.isArray(value) ? value : String(value).split(","))
+        .map(kind => String(kind).trim().toLowerCase())
+        .filter(Boolean);
+    const valid = kinds.every((kind, index) => IMPORT_KINDS.includes(kind) && kinds.indexOf(kind) === index);
+    return valid ? kinds : undefined;
+};
+
+// INI section that only applies to files matching a glob, e.g. [overrides "packages/legacy/**"]
+const OVERRIDES_SECTION_PATTERN = /^overrides\s+(["'])(.+)\1$/;
+
+// Comparisons SORT_ORDER can choose from
+const SORT_ORDERS = ["ordinal", "case-insensitive", "natural"];
+
+// Where TYPE_IMPORTS puts `import type` declarations, and the forms TYPE_IMPORT_STYLE converts them to
+const TYPE_IMPORT_PLACEMENTS = ["mixed", "last", "group"];
+const TYPE_IMPORT_STYLES = ["keep", "separate", "inline"];
+
+// How SIDE_EFFECT_IMPORTS treats `import "x"`: a barrier nothing is sorted across, a group in source order, or sorted
+const SIDE_EFFECT_POLICIES = ["barrier", "group", "sort"];
+
+// How each top-level setting is read. Values may be strings (.seriseirc) or JSON/JS values;
+// parse returns undefined for values that can't be used, which keeps the default (and is reported by validation).
+const SETTINGS_SCHEMA = {
+    HEADER_CHAR           : {
+        expected : "a non-empty string",
+        parse    : (value) => String(value) || undefined,
+    },
+    TO_COLUMN_WIDTH       : {
+        expected : "a positive integer",
+        parse    : parsePositiveInteger,
+    },
+    EXPAND_METHODS        : {
+        expected : "true or false",
+        values   : ["true", "false"],
+        parse    : parseBoolean,
+    },
+    FORMAT_TYPES          : {
+        expected : "true or false",
+        values   : ["true", "false"],
+        parse    : parseBoolean,
+    },
+    MERGE_DUPLICATES      : {
+        expected : "true or false",
+        values   : ["true", "false"],
+        parse    : parseBoolean,
+    },
+    INLINE_TYPE_IMPORTS   : {
+        expected : "true or false",
+        values   : ["true", "false"],
+        parse    : parseBoolean,
+    },
+    REMOVE_UNUSED_IMPORTS : {
+        expected : "true or false",
+        values   : ["true", "false"],
+        parse    : parseBoolean,
+    },
+    KEEP_JSDOC_IMPORTS    : {
+        expected : "true or false",
+        values   : ["true", "false"],
+        parse    : parseBoolean,
+    },
+    FORMAT_REEXPORTS      : {
+        expected : "true or false",
+        values   : ["true", "false"],
+        parse    : parseBoolean,
+    },
+    SORT_BY               : {
+        expected : "\"statement\" or \"module\"",
+        values   : ["statement", "module"],
+        parse    : (value) => (value === "statement" || value === "module") ? value : undefined,
+    },
+    SORT_ORDER            : {
+        expected : "\"ordinal\", \"case-insensitive\" or \"natural\"",
+        values   : SORT_ORDERS,
+        parse    : (value) => SORT_ORDERS.includes(value) ? value : undefined,
+    },
+    SORT_SPECIFIERS       : {
+        expected : "true or false",
+        values   : ["true", "false"],
+        parse    : parseBoolean,
+    },
+    TYPE_SPECIFIERS_FIRST : {
+        expected : "true or false",
+        values   : ["true", "false"],
+        parse    : parseBoolean,
+    },
+    IMPORT_KIND_ORDER     : {
+        expected : `a list of ${IMPORT_KINDS.join(", ")}`,
+        parse    : parseImportKindOrder,
+    },
+    TYPE_IMPORTS          : {
+        expected : "\"mixed\", \"last\" or \"group\"",
+        values   : TYPE_IMPORT_PLACEMENTS,
+        parse    : (value) => TYPE_IMPORT_PLACEMENTS.includes(value) ? value : undefined,
+    },
+    TYPE_IMPORT_STYLE     : {
+        expected : "\"keep\", \"separate\" or \"inline\"",
+        values   : TYPE_IMPORT_STYLES,
+        parse    : (value) => TYPE_IMPORT_STYLES.includes(value) ? value : undefined,
+    },
+    SIDE_EFFECT_IMPORTS   : {
+        expected : "\"barrier\", \"group\" or \"sort\"",
+        values   : SIDE_EFFECT_POLICIES,
+        parse    : (value) => SIDE_EFFECT_POLICIES.includes(value) ? value : undefined,
+    },
+    INDENT_TYPE           : {
+        expected : "\"spaces\" or \"tabs\"",
+        values   : ["spaces", "tabs"],
+        parse    : (value) => (value === "tabs" || value === "spaces") ? value : undefined,
+    },
+    INDENT_SIZE           : {
+        expected : "a positive integer",
+        parse    : parsePositiveInteger,
+    },
+};
+
+/**
+ * Reads the "serisei" key of a package.json.
+ * @param {string} packageJsonPath - The package.json path
+ * @returns {object|undefined} The config, or undefined if there is none or the file isn't valid JSON
+ */
+const readPackageJsonConfig = (packageJsonPath) => {
+    try {
+        return JSON.parse(fs.readFileSync(packageJsonPath, "utf8")).serisei;
+    } catch (e) {
+        return undefined;
+    }
+};
+
+/**
+ * Finds the nearest config file by searching upwards from a directory.
+ * @param {string} startDir - The absolute directory to start searching from
+ * @returns {string|null} The path of the config file, or null if none exists
+ */
+const findConfigPath = (startDir) => {
+    const isConfigFile = (filePath) => path.basename(filePath) !== "package.json"
+        || readPackageJsonConfig(filePath) !== undefined;
+    return findUpwards(startDir, CONFIG_FILE_NAMES, configPathCache, isConfigFile);
+};
+
+/**
+ * Clears the cached config lookups, e.g. after a config file has been edited.
  */
-const loadConfig = (startPath) => {
-    const defaultConfig = {
-        HEADER_CHAR     : "=",
-        TO_COLUMN_WIDTH : 120,
-        EXPAND_METHODS  : true,  // Always expand methods to multi-line format
-        INDENT_TYPE     : "spaces", // "spaces" | "tabs"
-        INDENT_SIZE     : 4,        // number of spaces (ignored if tabs)
-        groups          : [
-            {
-                name     : "// EXTERNAL ",
-                matchers : [
-                    "\"react\"",
-                    "'react'",
-                    "next/",
-                    "dnd-kit/",
-                    "zustand",
-                    "framer-motion",
-                    "tiptap",
-                    "axios",
-                    "tanstack",
-                    "vite",
-                    "path",
-                    "tauri",
-                    "react-router-dom",
-                    "@react-oauth/google",
-                    "globby",
-                ],
-            },
-            { name : "// CONTEXTS ", matchers : ["contexts/"] },
-            { name : "// COMPONENTS ", matchers : ["components/"] },
-            { name : "// CONFIGS ", matchers : ["configs/"] },
-            { name : "// LIB ", matchers : ["lib/"] },
-            { name : "// LOGIC ", matchers : ["logic/"] },
-            { name : "// DATA ", matchers : ["mock-data/"] },
-            { name : "// HOOKS ", matchers : ["hooks/"] },
-            { name : "// STORES ", matchers : ["store/"] },
-            { name : "// SERVICES ", matchers : ["services/"] },
-            { name : "// STYLES ", matchers : ["styles/", ".css"] },
-            { name : "// TYPES ", matchers : ["types", "typings"] },
-            { name : "// UTILS ", matchers : ["utils/"] },
-            { name : "// ASSETS ", matchers : ["assets/"] },
-            { name : "// OTHER ", matchers : [] },
-        ],
+const clearConfigCache = () => {
+    configPathCache.clear();
+    configChainCache.clear();
+    parsedConfigCache.clear();
+};
+
+/**
+ * Splits a comma-separated matcher list. Commas inside /regex/ literals, `{a,b}` glob
+ * alternations and `[...]` classes belong to the matcher and don't split it.
+ * Quotes are stripped from everything except regular expressions.
+ * @param {string} value - The matcher list, e.g. `react, /^@acme\//, **\/*.{css,scss}`
+ * @returns {Array<{value: string, offset: number}>} The individual matchers and where each starts in the list
+ */
+const splitMatcherList = (value) => {
+    const matchers = [];
+    let current = "";
+    let start = 0;
+    let depth = 0; // Open { and [ in globs
+    let inRegex = false;
+
+    const finishMatcher = () => {
+        const leadingSpace = current.length - current.trimStart().length;
+        const matcher = current.trim();
+        if (matcher) {
+            matchers.push({
+                value  : isRegexMatcher(matcher) ? matcher : matcher.replace(/["']/g, ""),
+                offset : start + leadingSpace,
+            });
+        }
     };
 
-    let currentDir = path.dirname(startPath);
-    let configPath = null;
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+
+        if (char === "\\" && i + 1 < value.length) {
+            current += char + value[++i];
+            continue;
+        }
 
-    // Search upwards from the current directory to the root
-    while (currentDir !== path.parse(currentDir).root) {
-        const potentialPath = path.join(currentDir, ".seriseirc");
-        if (fs.existsSync(potentialPath)) {
-            configPath = potentialPath;
-            break;
+        if (inRegex) {
+            if (char === "[") depth++;
+            if (char === "]" && depth > 0) depth--;
+            if (char === "/" && depth === 0) inRegex = false;
+        } else if (char === "/" && current.trim() === "") {
+            inRegex = true;
+        } else if (char === "{" || char === "[") {
+            depth++;
+        } else if ((char === "}" || char === "]") && depth > 0) {
+            depth--;
+        } else if (char === "," && depth === 0) {
+            finishMatcher();
+            current = "";
+            start = i + 1;
+            continue;
         }
-        currentDir = path.dirname(currentDir);
+        current += char;
     }
+    finishMatcher();
 
-    // Check the root directory as a last resort before giving up.
-    if (!configPath) {
-        const rootPath = path.join(path.parse(startPath).root, ".seriseirc");
-        if (fs.existsSync(rootPath)) {
-            configPath = rootPath;
+    return matchers;
+};
+
+/**
+ * Checks whether a matcher can be used. Broken ones (e.g. an invalid regular expression) are
+ * left out when loading and reported by validateConfigFile instead.
+ * @param {*} matcher - The matcher from the config
+ * @returns {boolean}
+ */
+const isUsableMatcher = (matcher) => {
+    if (typeof matcher === "function") return true;
+    if (typeof matcher !== "string" || !matcher) return false;
+    try {
+        createMatcher(matcher);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Turns a group name as written in a config ("utils", "// Utils") into its header label, "// UTILS ".
+ * @param {string} name - The group name
+ * @returns {string} The label used for the group header
+ */
+const toGroupLabel = (name) => {
+    // Strip existing slashes from the name to prevent duplication
+    const key = String(name).trim().replace(/^\/\/\s*/, "").trim();
+    return `// ${key.toUpperCase()} `;
+};
+
+/**
+ * Lists groups as [name, matchers] pairs, whichever shape the config used.
+ * @param {Array<object>|object} groups - The groups as written in the config
+ * @returns {Array<Array>} The name and matchers of every group, in order
+ */
+const getGroupEntries = (groups) => {
+    if (Array.isArray(groups)) {
+        return groups.map(group => [group && group.name, group && group.matchers]);
+    }
+    return groups && typeof groups === "object" ? Object.entries(groups) : [];
+};
+
+/**
+ * Merges the groups of an extending config into the groups it extends. A group with the same name
+ * takes the extending config's matchers but keeps its place; new groups go before OTHER.
+ * @param {Array<object>|object} baseGroups - The groups of the extended config
+ * @param {Array<object>|object} extensionGroups - The groups of the extending config
+ * @returns {Array<{name: string, matchers: *}>} The merged groups
+ */
+const mergeGroups = (baseGroups, extensionGroups) => {
+    const merged = getGroupEntries(baseGroups).map(([name, matchers]) => ({ name, matchers }));
+
+    for (const [name, matchers] of getGroupEntries(extensionGroups)) {
+        const existing = merged.find(group => toGroupLabel(group.name) === toGroupLabel(name));
+        if (existing) {
+            existing.matchers = matchers;
+            continue;
         }
+        const otherIndex = merged.findIndex(group => toGroupLabel(group.name) === "// OTHER ");
+        merged.splice(otherIndex === -1 ? merged.length : otherIndex, 0, { name, matchers });
     }
 
-    if (!configPath) {
-        return defaultConfig;
+    return merged;
+};
+
+/**
+ * Deep-merges two partial configs: settings from the extension win, groups are merged by name
+ * and overrides from both apply, the extension's last.
+ * @param {object} base - The extended (parent) config
+ * @param {object} extension - The extending config
+ * @returns {object} The merged partial config
+ */
+const mergeConfigs = (base, extension) => {
+    const merged = { ...base, ...extension };
+    if (base.groups && extension.groups) {
+        merged.groups = mergeGroups(base.groups, extension.groups);
     }
+    merged.overrides = [...(base.overrides || []), ...(extension.overrides || [])];
+    return merged;
+};
 
-    let config = JSON.parse(JSON.stringify(defaultConfig));
+/**
+ * Prepares the overrides of a config file for matching. Globs are relative to the file's directory,
+ * and, like .seriseiignore patterns, globs without a slash match at any depth.
+ * @param {Array<object>} overrides - Overrides as written: { files, ...settings }
+ * @param {string} configPath - The config file that declares them
+ * @returns {Array<{patterns: RegExp[], baseDir: string, settings: object, origin: object}>} The prepared overrides;
+ *          origin records the declaring file, the override's position in it and its globs
+ */
+const prepareOverrides = (overrides, configPath) => {
+    if (!Array.isArray(overrides)) {
+        return [];
+    }
 
-    try {
-        const fileContent = fs.readFileSync(configPath, "utf8");
-        const lines = fileContent.split("\n");
+    return overrides
+        .map((override, index) => ({ override, index }))
+        .filter(({ override }) => override && typeof override === "object")
+        .map(({ override : { files, ...settings }, index }) => {
+            const globs = [].concat(files || []).filter(glob => typeof glob === "string" && glob);
+            return {
+                patterns : globs.map(glob => globToRegExp(glob.includes("/") ? glob.replace(/^\//, "") : `**/${glob}`)),
+                baseDir  : path.dirname(configPath),
+                settings,
+                origin   : { configPath, index, globs },
+            };
+        });
+};
 
-        let inGroupsSection = false;
-        let customGroups = [];
+/**
+ * Checks whether an override applies to a file.
+ * @param {object} override - From prepareOverrides
+ * @param {string} filePath - The absolute path of the file
+ * @returns {boolean}
+ */
+const overrideApplies = (override, filePath) => {
+    const relativePath = path.relative(override.baseDir, filePath).split(path.sep).join("/");
+    return !relativePath.startsWith("../") && override.patterns.some(pattern => pattern.test(relativePath));
+};
 
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-            if (!trimmedLine || trimmedLine.startsWith("#")) {
-                continue;
-            }
+/**
+ * Normalizes group definitions from any config format into the internal shape.
+ * Accepts an array of { name, matchers } or an object of name -> matchers. Matchers may be
+ * a comma-separated string or an array of strings and (from JS configs) functions.
+ * @param {Array<object>|object} groups - The groups as written in the config
+ * @returns {Array<{name: string, matchers: Array<string|Function>}>} Groups ending with an OTHER catch-all
+ */
+const normalizeGroups = (groups) => {
+    const entries = getGroupEntries(groups);
 
-            if (/^\[\s*groups\s*\]$/.test(trimmedLine)) {
-                inGroupsSection = true;
-                continue;
-            }
+    const normalized = [];
+    for (const [name, matchers] of entries) {
+        if (typeof name !== "string" || !name.trim()) continue;
 
-            if (trimmedLine.startsWith("[")) { // A new section starts
-                inGroupsSection = false;
-                continue;
-            }
+        const matcherList = typeof matchers === "string"
+            ? splitMatcherList(matchers).map(matcher => matcher.value)
+            : (Array.isArray(matchers) ? matchers : []);
+        const usableMatchers = matcherList
+            .map(matcher => typeof matcher === "string" ? matcher.trim() : matcher)
+            .filter(isUsableMatcher);
 
-            if (inGroupsSection) {
-                const parts = trimmedLine.split("=");
-                // Strip existing slashes from the key to prevent duplication
-                const key = parts[0].trim().replace(/^\/\/\s*/, "");
-                const value = parts.slice(1).join("=").trim();
-                const matchers = value
-                    ? value.split(",").map(m => m.trim().replace(/["']/g, "")).filter(Boolean)
-                    : [];
-                customGroups.push({ name : `// ${key.toUpperCase()} `, matchers });
-            } else {
-                const parts = trimmedLine.split("=");
-                const key = parts[0].trim();
-                const value = parts.slice(1).join("=").trim();
-                if (key === "TO_COLUMN_WIDTH") {
-                    config.TO_COLUMN_WIDTH = parseInt(value, 10) || defaultConfig.TO_COLUMN_WIDTH;
-                } else if (key === "HEADER_CHAR") {
-                    config.HEADER_CHAR = value || defaultConfig.HEADER_CHAR;
-                } else if (key === "EXPAND_METHODS") {
-                    config.EXPAND_METHODS = value.toLowerCase() === "true";
-                } else if (key === "INDENT_TYPE") {
-                    config.INDENT_TYPE = (value === "tabs" || value === "spaces"
-                    ) ? value : defaultConfig.INDENT_TYPE;
-                } else if (key === "INDENT_SIZE") {
-                    config.INDENT_SIZE = parseInt(value, 10) || defaultConfig.INDENT_SIZE;
-                }
-            }
+        // A group without matchers catches everything, so one whose matchers are all broken is dropped instead
+        if (matcherList.length > 0 && usableMatchers.length === 0) continue;
+
+        normalized.push({ name : toGroupLabel(name), matchers : usableMatchers });
+    }
+
+    if (normalized.length > 0 && !normalized.some(group => group.name === "// OTHER ")) {
+        normalized.push({ name : "// OTHER ", matchers : [] });
+    }
+    return normalized;
+};
+
+/**
+ * Builds a complete configuration from a partial one, filling in defaults for anything missing.
+ * Every config format goes through here, so they all share one schema.
+ * @param {object} [partialConfig] - Settings to apply on top of the defaults
+ * @returns {object} The resolved configuration object.
+ */
+const resolveConfig = (partialConfig = {}) => {
+    const config = JSON.parse(JSON.stringify(defaultConfig));
+
+    for (const [key, { parse }] of Object.entries(SETTINGS_SCHEMA)) {
+        if (partialConfig[key] === undefined) continue;
+        const value = parse(partialConfig[key]);
+        if (value !== undefined) {
+            config[key] = value;
+        }
+    }
+
+    if (partialConfig.groups) {
+        const groups = normalizeGroups(partialConfig.groups);
+        if (groups.length > 0) {
+            config.groups = groups;
+        }
+    }
+
+    return config;
+};
+
+/**
+ * Splits the INI-style .seriseirc format into located entries, so both loading and validation
+ * can work from the same reading of the file. Lines and columns are 1-based.
+ * @param {string} fileContent - The file contents
+ * @returns {Array<object>} Section headers ({type: "section", name}) and key/value lines
+ *          ({type: "setting", section, key, value, matchers}), each with line and column
+ */
+const readIniEntries = (fileContent) => {
+    const entries = [];
+    let section = null;
+
+    fileContent.split("\n").forEach((line, index) => {
+        const trimmedLine = line.trim();
+        if (!trimmedLine || trimmedLine.startsWith("#")) {
+            return;
         }
 
-        if (customGroups.length > 0) {
-            customGroups.push({ name : "// OTHER ", matchers : [] });
-            config.groups = customGroups;
+        const lineNumber = index + 1;
+        const column = line.indexOf(trimmedLine) + 1;
+
+        if (trimmedLine.startsWith("[")) { // A new section starts
+            section = trimmedLine.replace(/^\[|\]$/g, "").trim();
+            entries.push({ type : "section", name : section, line : lineNumber, column });
+            return;
+        }
+
+        const equalsIndex = line.indexOf("=");
+        const key = (equalsIndex === -1 ? line : line.slice(0, equalsIndex)).trim();
+        const rawValue = equalsIndex === -1 ? "" : line.slice(equalsIndex + 1);
+        const value = rawValue.trim();
+        const valueColumn = equalsIndex === -1
+            ? line.length + 1
+            : equalsIndex + 2 + (rawValue.length - rawValue.trimStart().length);
+
+        entries.push({
+            type     : "setting",
+            section,
+            key,
+            value,
+            line     : lineNumber,
+            column,
+            valueColumn,
+            matchers : section === "groups"
+                ? splitMatcherList(value).map(matcher => ({ value : matcher.value, column : valueColumn + matcher.offset }))
+                : [],
+        });
+    });
+
+    return entries;
+};
+
+/**
+ * Parses the INI-style .seriseirc format into a partial config.
+ * Lines under [overrides "glob"] only apply to matching files; lines under any other
+ * section except [groups] are read as top-level settings.
+ * @param {string} fileContent - The file contents
+ * @returns {object} The settings and groups found in the file
+ */
+const parseIniConfig = (fileContent) => {
+    const partialConfig = {};
+    const customGroups = [];
+    const overrides = new Map(); // glob -> override
+
+    for (const entry of readIniEntries(fileContent)) {
+        if (entry.type !== "setting") continue;
+
+        const overrideMatch = entry.section && entry.section.match(OVERRIDES_SECTION_PATTERN);
+        if (entry.section === "groups") {
+            customGroups.push({ name : entry.key, matchers : entry.matchers.map(matcher => matcher.value) });
+        } else if (overrideMatch) {
+            const glob = overrideMatch[2];
+            if (!overrides.has(glob)) {
+                overrides.set(glob, { files : glob });
+            }
+            overrides.get(glob)[entry.key] = entry.value;
+        } else {
+            partialConfig[entry.key] = entry.value;
         }
+    }
+
+    if (customGroups.length > 0) {
+        partialConfig.groups = customGroups;
+    }
+    if (overrides.size > 0) {
+        partialConfig.overrides = [...overrides.values()];
+    }
+    return partialConfig;
+};
 
+/**
+ * Loads a JS config module. CommonJS works everywhere; .mjs needs a Node version that can require() ES modules.
+ * @param {string} configPath - The config module path
+ * @returns {object} The exported config
+ */
+const loadJsConfig = (configPath) => {
+    const modulePath = path.resolve(configPath);
+    // Drop any earlier copy so long-running modes (watch, LSP) see edits to the file
+    delete require.cache[modulePath];
+
+    let exported;
+    try {
+        exported = require(modulePath);
     } catch (e) {
-        console.error(`Error reading or parsing ${configPath}:`, e);
+        if (e.code === "ERR_REQUIRE_ESM") {
+            throw new Error(`${path.basename(configPath)} is an ES module, which needs Node 20.19+ or 22.12+ to load`);
+        }
+        throw e;
+    }
+    return exported && exported.__esModule && exported.default ? exported.default : exported;
+};
+
+/**
+ * Reads any supported config file into a partial config, based on its name.
+ * @param {string} configPath - The config file path
+ * @returns {object} The settings and groups found in the file
+ */
+const readConfigFile = (configPath) => {
+    const fileName = path.basename(configPath);
+    const extension = path.extname(configPath);
+
+    if (fileName === "package.json") {
+        return readPackageJsonConfig(configPath) || {};
+    }
+    if (extension === ".json") {
+        return JSON.parse(fs.readFileSync(configPath, "utf8"));
+    }
+    if ([".js", ".cjs", ".mjs"].includes(extension)) {
+        return loadJsConfig(configPath);
+    }
+    return parseIniConfig(fs.readFileSync(configPath, "utf8"));
+};
+
+/**
+ * Reads a config file together with the configs it extends, parents first.
+ * Each file's overrides stay tied to that file's directory.
+ * @param {string} configPath - The absolute config file path
+ * @param {string[]} [visited] - Files already on the extends chain, to catch loops
+ * @returns {object} The merged partial config, with prepared overrides and no extends key
+ * @throws {Error} When a file can't be read, an extended file is missing, or files extend each other in a loop
+ */
+const readConfigChain = (configPath, visited = []) => {
+    if (visited.includes(configPath)) {
+        throw new Error(`Config files extend each other in a loop: ${[...visited, configPath].join(" -> ")}`);
+    }
+
+    const partialConfig = readConfigFile(configPath);
+    const { extends : parentReference, ...ownConfig } = partialConfig && typeof partialConfig === "object"
+        ? partialConfig
+        : {};
+    ownConfig.overrides = prepareOverrides(ownConfig.overrides, configPath);
+
+    if (parentReference === undefined) {
+        return ownConfig;
+    }
+    if (typeof parentReference !== "string" || !parentReference) {
+        throw new Error("extends must be the path of another config file");
+    }
+
+    const parentPath = path.resolve(path.dirname(configPath), parentReference);
+    if (!fs.existsSync(parentPath)) {
+        throw new Error(`Cannot extend ${parentReference}: file not found`);
+    }
+    return mergeConfigs(readConfigChain(parentPath, [...visited, configPath]), ownConfig);
+};
+
+/**
+ * Loads configuration by searching upwards from a starting directory for a config file
+ * (.seriseirc, .seriseirc.json, serisei.config.js/.cjs/.mjs or a "serisei" key in package.json).
+ * The config's extends chain is merged in and overrides matching the file are applied.
+ * Falls back to default values if no config file is found.
+ * Results are cached, so callers must treat the returned object as read-only.
+ * @param {string} startPath The path of the file being processed.
+ * @param {object} [options] Loading options.
+ * @param {string} [options.configFile] Use this config file instead of searching for one.
+ * @returns {object} The resolved configuration object.
+ */
+const loadConfig = (startPath, { configFile } = {}) => {
+    const filePath = path.resolve(startPath);
+    const configPath = configFile
+        ? path.resolve(configFile)
+        : findConfigPath(path.dirname(filePath));
+
+    if (!configPath) {
         return defaultConfig;
     }
 
-    return config;
+    if (!configChainCache.has(configPath)) {
+        configChainCache.set(configPath, readConfigChainSafely(configPath));
+    }
+    const chain = configChainCache.get(configPath);
+    if (!chain) {
+        return defaultConfig;
+    }
+
+    // Files that match the same overrides share a config object
+    const overrides = chain.overrides.filter(override => overrideApplies(override, filePath));
+    const cacheKey = `${configPath}\0${overrides.map(override => chain.overrides.indexOf(override)).join(",")}`;
+
+    if (!parsedConfigCache.has(cacheKey)) {
+        const settings = overrides.reduce((merged, override) => ({ ...merged, ...override.settings }), chain);
+        parsedConfigCache.set(cacheKey, resolveConfig(settings));
+    }
+    return parsedConfigCache.get(cacheKey);
+};
+
+/**
+ * Reads a config chain, or returns null when it is broken.
+ * Problems are reported by validateConfigFile, so a broken file quietly falls back to the defaults.
+ * @param {string} configPath - The absolute config file path
+ * @returns {object|null} The merged partial config
+ */
+const readConfigChainSafely = (configPath) => {
+    try {
+        return readConfigChain(configPath);
+    } catch (e) {
+        return null;
+    }
 };
 
 module.exports = {
     loadConfig,
+    findConfigPath,
+    resolveConfig,
+    clearConfigCache,
+    readConfigFile,
+    readConfigChain,
+    readIniEntries,
+    overrideApplies,
+    readPackageJsonConfig,
+    splitMatcherList,
+    toGroupLabel,
+    CONFIG_FILE_NAMES,
+    OVERRIDES_SECTION_PATTERN,
+    SETTINGS_SCHEMA,
 };
\ No newline at end of file
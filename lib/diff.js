@@ -0,0 +1,251 @@
+// ANSI escape codes used when coloring diffs for a terminal
+const COLORS = {
+    bold  : "\x1b[1m",
+    red   : "\x1b[31m",
+    green : "\x1b[32m",
+    cyan  : "\x1b[36m",
+    reset : "\x1b[0m",
+};
+
+/**
+ * Splits text into lines that keep track of whether they ended with a newline,
+ * so a missing newline at the end of the file shows up as a difference.
+ * @param {string} text - The text to split
+ * @returns {Array<{text: string, newline: boolean}>} The lines
+ */
+const splitLines = (text) => {
+    if (text === "") return [];
+    const parts = text.split("\n");
+    const endsWithNewline = parts[parts.length - 1] === "";
+    if (endsWithNewline) parts.pop();
+    return parts.map((line, index) => ({
+        text    : line,
+        newline : index < parts.length - 1 || endsWithNewline,
+    }));
+};
+
+const sameLine = (a, b) => a.text === b.text && a.newline === b.newline;
+
+/**
+ * Computes a line-level edit script with the Myers O(ND) algorithm.
+ * Common leading and trailing lines are trimmed first, since formatting changes are usually local.
+ * @param {Array<{text: string, newline: boolean}>} a - The original lines
+ * @param {Array<{text: string, newline: boolean}>} b - The new lines
+ * @returns {Array<{type: " "|"-"|"+", line: {text: string, newline: boolean}}>} The edit script
+ */
+const diffLines = (a, b) => {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && sameLine(a[prefix], b[prefix])) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        sameLine(a[a.length - 1 - suffix], b[b.length - 1 - suffix])) suffix++;
+
+    const oldMiddle = a.slice(prefix, a.length - suffix);
+    const newMiddle = b.slice(prefix, b.length - suffix);
+    const n = oldMiddle.length;
+    const m = newMiddle.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    // Forward pass: find the shortest edit path, remembering the frontier at each step
+    let found = max === 0;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && sameLine(oldMiddle[x], newMiddle[y])) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Backward pass: walk the trace to recover the edits
+    const middleOps = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const frontier = trace[d];
+        const get = (k) => frontier[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+        const prevX = get(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            middleOps.push({ type : " ", line : oldMiddle[--x] });
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                middleOps.push({ type : "+", line : newMiddle[--y] });
+            } else {
+                middleOps.push({ type : "-", line : oldMiddle[--x] });
+            }
+        }
+    }
+    middleOps.reverse();
+
+    return [
+        ...a.slice(0, prefix).map(line => ({ type : " ", line })),
+        ...middleOps,
+        ...a.slice(a.length - suffix).map(line => ({ type : " ", line })),
+    ];
+};
+
+/**
+ * Creates a unified diff between two versions of a file.
+ * @param {string} oldText - The original contents
+ * @param {string} newText - The new contents
+ * @param {object} options - Diff options
+ * @param {string} options.fileName - The file name shown in the --- / +++ headers
+ * @param {number} [options.context=3] - Number of unchanged lines shown around each change
+ * @returns {string} The unified diff, or an empty string when the texts are identical
+ */
+const createUnifiedDiff = (oldText, newText, { fileName, context = 3 }) => {
+    if (oldText === newText) return "";
+
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+    // Attach old/new line numbers to every operation
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops) {
+        op.oldLine = oldLine;
+        op.newLine = newLine;
+        if (op.type !== "+") oldLine++;
+        if (op.type !== "-") newLine++;
+    }
+
+    // Merge changes that are close enough to share context into hunks
+    const hunkRanges = [];
+    ops.forEach((op, index) => {
+        if (op.type === " ") return;
+        const start = Math.max(0, index - context);
+        const end = Math.min(ops.length - 1, index + context);
+        const last = hunkRanges[hunkRanges.length - 1];
+        if (last && start <= last.end + 1) {
+            last.end = end;
+        } else {
+            hunkRanges.push({ start, end });
+        }
+    });
+
+    const output = [`--- a/${fileName}`, `+++ b/${fileName}`];
+    for (const { start, end } of hunkRanges) {
+        const hunkOps = ops.slice(start, end + 1);
+        const oldCount = hunkOps.filter(op => op.type !== "+").length;
+        const newCount = hunkOps.filter(op => op.type !== "-").length;
+        // An empty side points at the line before the hunk, as in GNU diff
+        const oldStart = oldCount === 0 ? hunkOps[0].oldLine - 1 : hunkOps[0].oldLine;
+        const newStart = newCount === 0 ? hunkOps[0].newLine - 1 : hunkOps[0].newLine;
+
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const op of hunkOps) {
+            output.push(`${op.type}${op.line.text}`);
+            if (!op.line.newline) {
+                output.push("\\ No newline at end of file");
+            }
+        }
+    }
+
+    return output.join("\n") + "\n";
+};
+
+/**
+ * Computes minimal whole-line replacements that turn one text into another.
+ * The edits use LSP `TextEdit` shape (0-based lines, UTF-16 columns) and don't overlap.
+ * @param {string} oldText - The original contents
+ * @param {string} newText - The new contents
+ * @returns {Array<{range: {start: {line: number, character: number}, end: {line: number, character: number}}, newText: string}>}
+ *          The edits, in document order
+ */
+const createLineEdits = (oldText, newText) => {
+    if (oldText === newText) return [];
+
+    const oldLines = splitLines(oldText);
+    const ops = diffLines(oldLines, splitLines(newText));
+    const edits = [];
+    const lineText = (line) => line.text + (line.newline ? "\n" : "");
+
+    let oldIndex = 0;
+    let current = null;
+    for (const op of ops) {
+        if (op.type === " ") {
+            if (current) {
+                edits.push(current);
+                current = null;
+            }
+            oldIndex++;
+            continue;
+        }
+
+        if (!current) {
+            current = { startLine : oldIndex, endLine : oldIndex, newText : "" };
+        }
+        if (op.type === "-") {
+            current.endLine = ++oldIndex;
+        } else {
+            current.newText += lineText(op.line);
+        }
+    }
+    if (current) {
+        edits.push(current);
+    }
+
+    return edits.map(({ startLine, endLine, newText : text }) => {
+        // Replacing the last line when it has no trailing newline must end at its last character
+        const lastLine = oldLines[endLine - 1];
+        const end = endLine === oldLines.length && lastLine && !lastLine.newline
+            ? { line : endLine - 1, character : lastLine.text.length }
+            : { line : endLine, character : 0 };
+        return {
+            range   : { start : { line : startLine, character : 0 }, end },
+            newText : text,
+        };
+    });
+};
+
+/**
+ * Adds terminal colors to a unified diff.
+ * @param {string} diff - The unified diff
+ * @returns {string} The colored diff
+ */
+const colorizeDiff = (diff) => {
+    return diff.split("\n").map(line => {
+        if (line.startsWith("--- ") || line.startsWith("+++ ")) return `${COLORS.bold}${line}${COLORS.reset}`;
+        if (line.startsWith("@@")) return `${COLORS.cyan}${line}${COLORS.reset}`;
+        if (line.startsWith("-")) return `${COLORS.red}${line}${COLORS.reset}`;
+        if (line.startsWith("+")) return `${COLORS.green}${line}${COLORS.reset}`;
+        return line;
+    }).join("\n");
+};
+
+/**
+ * Decides whether output to a stream should be colored.
+ * Honors the NO_COLOR and FORCE_COLOR conventions, otherwise colors only terminals.
+ * @param {NodeJS.WriteStream} stream - The output stream
+ * @returns {boolean}
+ */
+const shouldUseColor = (stream) => {
+    if ("NO_COLOR" in process.env) return false;
+    if ("FORCE_COLOR" in process.env) return process.env.FORCE_COLOR !== "0";
+    return Boolean(stream.isTTY);
+};
+
+module.exports = {
+    createUnifiedDiff,
+    createLineEdits,
+    colorizeDiff,
+    shouldUseColor,
+};
\ No newline at end of file
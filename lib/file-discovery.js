@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+const { globToRegExp, getGlobBase, hasGlobMagic } = require("./glob");
+
+// File extensions picked up when walking directories or expanding globs
+const SUPPORTED_EXTENSIONS = new Set([".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"]);
+
+// Directories that hold dependencies or build output and are never walked into
+const IGNORED_DIRECTORIES = new Set([
+    "node_modules",
+    ".git",
+    "dist",
+    "build",
+    "out",
+    "coverage",
+    ".next",
+    ".turbo",
+    ".cache",
+    "storybook-static",
+]);
+
+/**
+ * Checks whether a file has one of the supported JS/TS extensions.
+ * @param {string} filePath - The file path to check
+ * @returns {boolean}
+ */
+const isSupportedFile = (filePath) => SUPPORTED_EXTENSIONS.has(path.extname(filePath));
+
+/**
+ * Recursively collects supported files under a directory, skipping ignored directories.
+ * @param {string} directory - Absolute path of the directory to walk
+ * @param {string[]} files - Accumulator for the found file paths
+ * @returns {string[]} Absolute paths of the files found
+ */
+const walkDirectory = (directory, files = []) => {
+    let entries;
+    try {
+        entries = fs.readdirSync(directory, { withFileTypes : true });
+    } catch (error) {
+        return files;
+    }
+
+    for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRECTORIES.has(entry.name)) {
+                walkDirectory(entryPath, files);
+            }
+            continue;
+        }
+
+        // Follow symlinks to files, but never to directories (avoids cycles)
+        const isFile = entry.isFile() || (entry.isSymbolicLink() && fs.existsSync(entryPath) && fs.statSync(entryPath).isFile());
+        if (isFile && isSupportedFile(entry.name)) {
+            files.push(entryPath);
+        }
+    }
+
+    return files;
+};
+
+/**
+ * Expands a glob pattern into the supported files it matches.
+ * @param {string} pattern - The glob pattern, relative to cwd or absolute
+ * @param {string} cwd - The directory relative patterns are resolved against
+ * @returns {string[]} Absolute paths of the matching files
+ */
+const expandGlob = (pattern, cwd) => {
+    const normalizedPattern = pattern.replace(/\\/g, "/").replace(/^\.\//, "");
+    const matcher = globToRegExp(normalizedPattern);
+    const base = getGlobBase(normalizedPattern);
+    const baseDirectory = path.resolve(cwd, base || ".");
+    const isAbsolute = path.isAbsolute(normalizedPattern);
+
+    return walkDirectory(baseDirectory).filter(filePath => {
+        const candidate = isAbsolute
+            ? filePath.split(path.sep).join("/")
+            : path.relative(cwd, filePath).split(path.sep).join("/");
+        return matcher.test(candidate);
+    });
+};
+
+/**
+ * Expands CLI targets (files, directories and globs) into a list of files to format.
+ * Explicitly named files are always included; directories and globs only yield supported files.
+ * @param {string[]} targets - The raw targets from the command line
+ * @param {string} cwd - The directory relative targets are resolved against
+ * @returns {{files: string[], missing: string[], empty: string[]}} Unique absolute file paths,
+ *          targets that do not exist, and globs that matched nothing
+ */
+const expandTargets = (targets, cwd = process.cwd()) => {
+    const files = new Set();
+    const missing = [];
+    const empty = [];
+
+    for (const target of targets) {
+        const targetPath = path.resolve(cwd, target);
+
+        if (fs.existsSync(targetPath)) {
+            if (fs.statSync(targetPath).isDirectory()) {
+                walkDirectory(targetPath).forEach(file => files.add(file));
+            } else {
+                files.add(targetPath);
+            }
+            continue;
+        }
+
+        if (hasGlobMagic(target)) {
+            const matches = expandGlob(target, cwd);
+            if (matches.length === 0) {
+                empty.push(target);
+            }
+            matches.forEach(file => files.add(file));
+            continue;
+        }
+
+        missing.push(target);
+    }
+
+    return { files : [...files].sort(), missing, empty };
+};
+
+module.exports = {
+    expandTargets,
+    isSupportedFile,
+    walkDirectory,
+    IGNORED_DIRECTORIES,
+    SUPPORTED_EXTENSIONS,
+};
\ No newline at end of file
@@ -24,6 +24,49 @@ const writeFileAtomic = (filePath, content) => {
     }
 };
 
+/**
+ * Finds the nearest file with one of the given names by searching upwards from a directory to the root.
+ * Every directory visited on the way is cached with the result.
+ * @param {string} startDir - The absolute directory to start searching from
+ * @param {string|string[]} fileNames - The file name(s) to look for, in order of preference within a directory
+ * @param {Map<string, string|null>} cache - Directory -> result cache for these file names
+ * @param {(filePath: string) => boolean} [accept] - Extra check a candidate must pass, e.g. a package.json with a key
+ * @returns {string|null} The path of the nearest file, or null if there is none
+ */
+const findUpwards = (startDir, fileNames, cache, accept = () => true) => {
+    const names = Array.isArray(fileNames) ? fileNames : [fileNames];
+    const visited = [];
+    let currentDir = startDir;
+    let foundPath = null;
+
+    while (true) {
+        if (cache.has(currentDir)) {
+            foundPath = cache.get(currentDir);
+            break;
+        }
+
+        visited.push(currentDir);
+        foundPath = names
+            .map(name => path.join(currentDir, name))
+            .find(potentialPath => fs.existsSync(potentialPath) && accept(potentialPath)) || null;
+        if (foundPath) {
+            break;
+        }
+
+        const parentDir = path.dirname(currentDir);
+        if (parentDir === currentDir) {
+            break;
+        }
+        currentDir = parentDir;
+    }
+
+    for (const dir of visited) {
+        cache.set(dir, foundPath);
+    }
+    return foundPath;
+};
+
 module.exports = {
     writeFileAtomic,
+    findUpwards,
 };
\ No newline at end of file
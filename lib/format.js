@@ -0,0 +1,312 @@
+const { loadConfig, resolveConfig } = require("./config");
+const { applyDetectedIndent } = require("./indent");
+const { extractImports, extractReexports, extractInterfaceBlocks } = require("./ast-parser");
+const { formatImportBlock } = require("./import-formatter");
+const { formatInterfaceBlocks } = require("./interface-formatter");
+const { createSpecifierResolver, usesVerbatimModuleSyntax, readJsxOptions } = require("./tsconfig");
+const { readProjectPackages } = require("./project-packages");
+
+/**
+ * Thrown when the source code cannot be parsed. Keeps Babel's location information.
+ */
+class ParseError extends SyntaxError {
+    /**
+     * @param {Error} cause - The underlying Babel parser error
+     * @param {string} [filePath] - The path of the file that failed to parse
+     */
+    constructor(cause, filePath) {
+        super(cause.message);
+        this.name = "ParseError";
+        this.cause = cause;
+        this.filePath = filePath;
+        this.loc = cause.loc;
+    }
+}
+
+/**
+ * Formats source code: groups and sorts imports and column-aligns types and interfaces.
+ * Pure function with no file I/O apart from loading a config file when no config is passed, and reading
+ * the tsconfig.json path aliases and package.json dependencies of the file's project.
+ * @param {string} code - The source code to format
+ * @param {object} [options] - Format options
+ * @param {string} [options.filePath] - The path the code belongs to, used for config discovery and parser choice
+ * @param {object} [options.config] - Configuration to use instead of discovering a config file; missing keys get defaults
+ * @param {string} [options.configFile] - Config file to load instead of discovering one
+ * @param {{start: number, end: number}} [options.range] - Only format within these 1-based, inclusive lines: type
+ *        blocks that intersect them, and the import block if it intersects them. Everything else stays byte-identical.
+ * @returns {{code: string, changed: boolean, skipped: boolean, importGroups: Array<{name: string, imports: string[]}>,
+ *          reexportGroups: Array<{name: string, imports: string[]}>, warnings: string[]}}
+ *          The formatted code, whether it differs from the input, whether formatting was skipped for safety,
+ *          the non-empty import groups, the non-empty re-export groups (with FORMAT_REEXPORTS) and any warnings
+ * @throws {ParseError} When the code cannot be parsed
+ */
+const format = (code, options = {}) => {
+    const { filePath } = options;
+    const config = options.config ? resolveConfig(options.config) : loadConfig(filePath || "stdin", { configFile : options.configFile });
+    const warnings = [];
+
+    // Use detected style if config uses defaults, otherwise respect explicit config
+    const { config : workingConfig } = applyDetectedIndent(config, code);
+    const lines = code.split("\n");
+
+    // Step 1: Extract imports and get the set of lines to remove
+    let {
+        importStatements,
+        linesToRemove : importLinesToRemove,
+        importRange,
+        parseError,
+    } = extractImports(code, workingConfig, filePath, {
+        verbatimModuleSyntax : usesVerbatimModuleSyntax(filePath || "stdin"),
+        jsxOptions           : readJsxOptions(filePath || "stdin"),
+    });
+
+    // A file we can't parse is a failure, not something that "needs formatting"
+    if (parseError) {
+        throw new ParseError(parseError, filePath);
+    }
+
+    // Track the last import line for later use
+    let lastImportLine = -1;
+    if (importStatements.length > 0) {
+        // Find the highest line number in importLinesToRemove
+        for (const lineNum of importLinesToRemove) {
+            if (lineNum > lastImportLine) {
+                lastImportLine = lineNum;
+            }
+        }
+    }
+
+    // With FORMAT_REEXPORTS, `export … from` re-exports get a block of their own, where the first one was
+    let {
+        exportStatements,
+        linesToRemove : reexportLinesToRemove,
+        exportRange,
+    } = workingConfig.FORMAT_REEXPORTS
+        ? extractReexports(code, workingConfig, filePath)
+        : { exportStatements : [], linesToRemove : new Set(), exportRange : null };
+
+    // Step 2: Extract interface/type blocks and get their lines to remove
+    let { interfaceBlocks, linesToRemove : interfaceLinesToRemove } = extractInterfaceBlocks(code, filePath);
+
+    // Combine all lines to remove (imports + re-exports + interfaces)
+    let allLinesToRemove = new Set([...importLinesToRemove, ...reexportLinesToRemove, ...interfaceLinesToRemove]);
+
+    // A file without imports or types is already formatted; parse failures threw above, so this is not an error
+    if (importStatements.length === 0 && exportStatements.length === 0 && interfaceBlocks.length === 0 && allLinesToRemove.size === 0) {
+        return { code, changed : false, skipped : false, importGroups : [], reexportGroups : [], warnings };
+    }
+
+    // With FORMAT_TYPES off, type blocks are left exactly as they are and only imports are regrouped
+    if (!workingConfig.FORMAT_TYPES) {
+        interfaceBlocks = [];
+        interfaceLinesToRemove = new Set();
+        allLinesToRemove = new Set([...importLinesToRemove, ...reexportLinesToRemove]);
+    }
+
+    // With a line range, only touch the import block, re-exports and type blocks that intersect it
+    if (options.range) {
+        const rangeStart = options.range.start - 1; // Convert to 0-based
+        const rangeEnd = options.range.end - 1;
+        const touchesRange = (start, end) => start <= rangeEnd && end >= rangeStart;
+
+        if (!importRange || !touchesRange(importRange.start, importRange.end)) {
+            importStatements = [];
+            importLinesToRemove = new Set();
+        }
+        if (!exportRange || !touchesRange(exportRange.start, exportRange.end)) {
+            exportStatements = [];
+            reexportLinesToRemove = new Set();
+            exportRange = null;
+        }
+
+        interfaceBlocks = interfaceBlocks.filter(block => touchesRange(block.startLine, block.endLine));
+        interfaceLinesToRemove = new Set();
+        for (const block of interfaceBlocks) {
+            for (let i = block.startLine; i <= block.endLine; i++) {
+                interfaceLinesToRemove.add(i);
+            }
+        }
+
+        allLinesToRemove = new Set([...importLinesToRemove, ...reexportLinesToRemove, ...interfaceLinesToRemove]);
+    }
+
+    // Generated headers are dropped and recreated, which must not happen when imports are left alone
+    const rebuildHeaders = !options.range || importStatements.length > 0;
+
+    // Step 3: Get the formatted import block
+    // Aliased and relative imports are also matched by the project path they point to, and package
+    // matchers such as @dependencies need the project's package.json (found from the working directory for stdin)
+    const project = {
+        resolveSpecifier : filePath ? createSpecifierResolver(filePath) : undefined,
+        packages         : readProjectPackages(filePath || "stdin"),
+    };
+    const { lines : newImportLines, groups : importGroups } = importStatements.length > 0
+        ? formatImportBlock(importStatements, workingConfig, project)
+        : { lines : [], groups : [] };
+    // Type-only re-exports never sort in between value re-exports, so with TYPE_IMPORTS = mixed they come last in their group
+    const reexportConfig = workingConfig.TYPE_IMPORTS === "mixed" ? { ...workingConfig, TYPE_IMPORTS : "last" } : workingConfig;
+    const { lines : newExportLines, groups : reexportGroups } = exportStatements.length > 0
+        ? formatImportBlock(exportStatements, reexportConfig, project)
+        : { lines : [], groups : [] };
+
+    // Step 4: Get the formatted interface blocks
+    const formattedInterfaceBlocks = interfaceBlocks.length > 0 ? formatInterfaceBlocks(interfaceBlocks, lines, workingConfig) : [];
+
+    // Step 5: Reconstruct the file
+    const finalLines = [];
+
+    // Generated headers, like "// EXTERNAL ====", are recreated with the import block
+    const headerRegex = new RegExp(`^\\s*//.*\\s[${workingConfig.HEADER_CHAR}]{3,}`);
+
+    // Find the end of the file header (comments/empty lines/directives at the top)
+    let headerEndIndex = 0;
+    let foundFirstImport = false;
+    let foundFirstInterface = false;
+    let inBlockComment = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const trimmedLine = lines[i].trim();
+
+        // Check if this is an import or re-export line, or a comment that moves with one
+        const isMoved = importLinesToRemove.has(i) || reexportLinesToRemove.has(i);
+        if (isMoved && trimmedLine !== "" && !headerRegex.test(trimmedLine)) {
+            foundFirstImport = true;
+            break;
+        }
+
+        // Check if this is an interface/type line
+        if (interfaceLinesToRemove.has(i)) {
+            foundFirstInterface = true;
+            break;
+        }
+
+        // The rest of a multi-line block comment, like a license, is part of the header too
+        if (inBlockComment) {
+            inBlockComment = !trimmedLine.includes("*/");
+            finalLines.push(lines[i]);
+            headerEndIndex = i + 1;
+            continue;
+        }
+
+        // Check if this is a directive (string literal at the top level) or the shebang line
+        const isDirective = /^["']use (client|server|strict)["'];?$/.test(trimmedLine) || (i === 0 && trimmedLine.startsWith("#!"));
+
+        // Check if this is a generated header (should be removed)
+        const isGeneratedHeader = headerRegex.test(trimmedLine);
+
+        // Skip generated headers - they'll be recreated
+        if (isGeneratedHeader && (rebuildHeaders || reexportLinesToRemove.has(i))) {
+            continue;
+        }
+
+        // Stop at the first import or first non-comment/non-directive code
+        if (trimmedLine !== "" && !trimmedLine.startsWith("//") && !trimmedLine.startsWith("/*") && !isDirective) {
+            break;
+        }
+
+        inBlockComment = trimmedLine.startsWith("/*") && !trimmedLine.includes("*/", 2);
+        finalLines.push(lines[i]);
+        headerEndIndex = i + 1;
+    }
+
+    // Inject the new import block
+    if (newImportLines.length > 0) {
+        // If the header already ends with a blank line, don't add another.
+        if (finalLines.length > 0 && finalLines[finalLines.length - 1].trim() !== "") {
+            finalLines.push("");
+        }
+        finalLines.push(...newImportLines);
+    }
+
+    // Check if there is subsequent code to add a separator line
+    // Skip comments and empty lines when determining if there's subsequent code
+    let hasSubsequentCode = false;
+    for (let i = headerEndIndex; i < lines.length; i++) {
+        if (!allLinesToRemove.has(i)) {
+            const line = lines[i].trim();
+            if (line !== "" && !line.startsWith("//") && !line.startsWith("/*")) {
+                hasSubsequentCode = true;
+                break;
+            }
+        }
+    }
+
+    if (newImportLines.length > 0 && hasSubsequentCode) {
+        finalLines.push("");
+    }
+
+    // Create a map of interface block start lines to their formatted versions
+    const interfaceBlockMap = new Map();
+    for (const block of formattedInterfaceBlocks) {
+        interfaceBlockMap.set(block.startLine, block);
+    }
+
+    // Process the rest of the file, inserting formatted interface blocks at their original positions
+    let i = headerEndIndex;
+    let skippedReexport = false;
+    while (i < lines.length) {
+        // The re-export block goes where the first re-export was, set apart by blank lines
+        if (exportRange && i === exportRange.start) {
+            if (finalLines.length > 0 && finalLines[finalLines.length - 1].trim() !== "") {
+                finalLines.push("");
+            }
+            finalLines.push(...newExportLines);
+            let next = i;
+            while (next < lines.length && allLinesToRemove.has(next)) {
+                next++;
+            }
+            if (next < lines.length && lines[next].trim() !== "") {
+                finalLines.push("");
+            }
+        }
+
+        // Check if this line is the start of a formatted interface block
+        if (interfaceBlockMap.has(i)) {
+            const block = interfaceBlockMap.get(i);
+            finalLines.push(...block.formattedLines);
+            // Skip to the end of the original block
+            i = block.endLine + 1;
+            continue;
+        }
+
+        // If this line should be removed (import or interface content), skip it
+        if (allLinesToRemove.has(i)) {
+            skippedReexport = skippedReexport || reexportLinesToRemove.has(i);
+            i++;
+            continue;
+        }
+
+        // Code on both sides of re-exports that moved away stays apart
+        const previousLine = finalLines.length > 0 ? finalLines[finalLines.length - 1] : "";
+        if (skippedReexport && lines[i].trim() !== "" && previousLine.trim() !== "") {
+            finalLines.push("");
+        }
+        skippedReexport = false;
+
+        // Generated headers are now handled by the AST parser's linesToRemove set
+        // No additional logic needed here
+
+        // For all other lines, just add them as-is
+        finalLines.push(lines[i]);
+        i++;
+    }
+
+    const newCode = finalLines.join("\n");
+    const describeGroups = (groups) => groups
+        .filter(group => group.matches.length > 0)
+        .map(group => ({ name : group.name.replace(/^\/\/\s*/, "").trim(), imports : group.matches }));
+
+    return {
+        code           : newCode,
+        changed        : newCode !== code,
+        skipped        : false,
+        importGroups   : describeGroups(importGroups),
+        reexportGroups : describeGroups(reexportGroups),
+        warnings,
+    };
+};
+
+module.exports = {
+    format,
+    ParseError,
+};
\ No newline at end of file
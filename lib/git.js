@@ -0,0 +1,124 @@
+const { execFileSync } = require("child_process");
+const path = require("path");
+
+/**
+ * Runs a git command and returns its stdout.
+ * @param {string[]} args - The git arguments
+ * @param {object} [options] - Execution options
+ * @param {string} [options.cwd] - The directory to run git in
+ * @param {string} [options.input] - Data to pass on stdin
+ * @returns {string} The command's stdout
+ * @throws {Error} With git's stderr as the message when the command fails
+ */
+const runGit = (args, { cwd = process.cwd(), input } = {}) => {
+    try {
+        return execFileSync("git", args, {
+            cwd,
+            input,
+            encoding  : "utf8",
+            stdio     : [input === undefined ? "ignore" : "pipe", "pipe", "pipe"],
+            maxBuffer : 64 * 1024 * 1024,
+        });
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            throw new Error("git is not installed or not on the PATH");
+        }
+        const stderr = error.stderr ? error.stderr.toString().trim() : "";
+        throw new Error(stderr || `git ${args[0]} failed`);
+    }
+};
+
+/**
+ * Splits NUL-separated git output (from -z) into entries.
+ * @param {string} output - The git output
+ * @returns {string[]} The non-empty entries
+ */
+const splitNul = (output) => output.split("\0").filter(Boolean);
+
+/**
+ * Returns the root directory of the repository containing cwd.
+ * @param {string} [cwd] - A directory inside the repository
+ * @returns {string} The absolute repository root
+ */
+const getRepoRoot = (cwd = process.cwd()) => {
+    return path.resolve(runGit(["rev-parse", "--show-toplevel"], { cwd }).trim());
+};
+
+/**
+ * Lists files that are staged for commit (added, copied, modified or renamed).
+ * @param {string} [cwd] - A directory inside the repository
+ * @returns {string[]} Absolute paths of the staged files
+ */
+const getStagedFiles = (cwd = process.cwd()) => {
+    const root = getRepoRoot(cwd);
+    const output = runGit(["diff", "--cached", "--name-only", "--diff-filter=ACMR", "-z"], { cwd : root });
+    return splitNul(output).map(file => path.join(root, file));
+};
+
+/**
+ * Lists files changed since the point where the current branch diverged from a ref.
+ * Includes committed, staged and unstaged changes as well as untracked files.
+ * @param {string} ref - The branch or commit to compare against, e.g. "main"
+ * @param {string} [cwd] - A directory inside the repository
+ * @returns {string[]} Absolute paths of the changed files
+ */
+const getChangedFilesSince = (ref, cwd = process.cwd()) => {
+    const root = getRepoRoot(cwd);
+    const mergeBase = runGit(["merge-base", ref, "HEAD"], { cwd : root }).trim();
+    const changed = splitNul(runGit(["diff", "--name-only", "--diff-filter=ACMR", "-z", mergeBase], { cwd : root }));
+    const untracked = splitNul(runGit(["ls-files", "--others", "--exclude-standard", "-z"], { cwd : root }));
+    return [...new Set([...changed, ...untracked])].map(file => path.join(root, file));
+};
+
+/**
+ * Checks whether a file has changes in the working tree that are not staged.
+ * @param {string} filePath - Absolute path of the file
+ * @returns {boolean}
+ */
+const hasUnstagedChanges = (filePath) => {
+    const output = runGit(["diff", "--name-only", "--", path.basename(filePath)], { cwd : path.dirname(filePath) });
+    return output.trim() !== "";
+};
+
+/**
+ * Reads the staged (index) version of a file.
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string} The staged contents
+ */
+const readIndexFile = (filePath) => {
+    return runGit(["show", `:./${path.basename(filePath)}`], { cwd : path.dirname(filePath) });
+};
+
+/**
+ * Replaces the staged (index) version of a file without touching the working tree.
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} content - The new staged contents
+ */
+const writeIndexFile = (filePath, content) => {
+    // --cacheinfo paths are always relative to the repository root
+    const cwd = getRepoRoot(path.dirname(filePath));
+    const repoPath = path.relative(cwd, filePath).split(path.sep).join("/");
+    // "<mode> <object> <stage>\t<path>"; keep the mode so executable bits survive
+    const [mode] = runGit(["ls-files", "--stage", "--", repoPath], { cwd }).split(" ");
+    // --path applies the file's attributes (eol, autocrlf, clean filters) just like `git add` would
+    const blob = runGit(["hash-object", "-w", `--path=${repoPath}`, "--stdin"], { cwd, input : content }).trim();
+    runGit(["update-index", "--cacheinfo", `${mode},${blob},${repoPath}`], { cwd });
+};
+
+/**
+ * Stages the working tree version of a file.
+ * @param {string} filePath - Absolute path of the file
+ */
+const stageFile = (filePath) => {
+    runGit(["add", "--", path.basename(filePath)], { cwd : path.dirname(filePath) });
+};
+
+module.exports = {
+    getRepoRoot,
+    getStagedFiles,
+    getChangedFilesSince,
+    hasUnstagedChanges,
+    readIndexFile,
+    writeIndexFile,
+    stageFile,
+};
\ No newline at end of file
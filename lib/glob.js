@@ -0,0 +1,90 @@
+/**
+ * Checks whether a string contains glob syntax.
+ * @param {string} pattern - The string to check
+ * @returns {boolean}
+ */
+const hasGlobMagic = (pattern) => /[*?{[]/.test(pattern);
+
+/**
+ * Converts a glob pattern into an anchored regular expression.
+ * Supports `**`, `*`, `?`, `{a,b}` alternation and `[...]` character classes.
+ * @param {string} pattern - The glob pattern, using forward slashes
+ * @returns {RegExp} The equivalent regular expression
+ */
+const globToRegExp = (pattern) => {
+    const normalized = pattern.replace(/\\/g, "/").replace(/^\.\//, "");
+    let source = "";
+    let braceDepth = 0;
+
+    for (let i = 0; i < normalized.length; i++) {
+        const char = normalized[i];
+
+        if (char === "*") {
+            if (normalized[i + 1] === "*") {
+                // Collapse any run of stars into a single globstar
+                while (normalized[i + 1] === "*") i++;
+                const atSegmentStart = i < 2 || normalized[i - 2] === "/";
+                if (atSegmentStart && normalized[i + 1] === "/") {
+                    // "**/" matches zero or more whole directories
+                    source += "(?:.*/)?";
+                    i++;
+                } else {
+                    source += ".*";
+                }
+            } else {
+                source += "[^/]*";
+            }
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "{") {
+            braceDepth++;
+            source += "(?:";
+        } else if (char === "}" && braceDepth > 0) {
+            braceDepth--;
+            source += ")";
+        } else if (char === "," && braceDepth > 0) {
+            source += "|";
+        } else if (char === "[") {
+            const closeIndex = normalized.indexOf("]", i + 1);
+            if (closeIndex === -1) {
+                source += "\\[";
+            } else {
+                const classBody = normalized.slice(i + 1, closeIndex).replace(/^!/, "^").replace(/\\/g, "\\\\");
+                source += `[${classBody}]`;
+                i = closeIndex;
+            }
+        } else {
+            source += char.replace(/[.+^$()|\\\]]/g, "\\$&");
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Returns the leading part of a glob pattern that contains no glob syntax.
+ * This is the directory a file walk needs to start from.
+ * @param {string} pattern - The glob pattern
+ * @returns {string} The static base directory ("" when the pattern starts with magic)
+ */
+const getGlobBase = (pattern) => {
+    const segments = pattern.replace(/\\/g, "/").replace(/^\.\//, "").split("/");
+    const baseSegments = [];
+
+    // The last segment is always treated as the file part of the pattern
+    for (let i = 0; i < segments.length - 1; i++) {
+        if (hasGlobMagic(segments[i])) break;
+        baseSegments.push(segments[i]);
+    }
+
+    if (baseSegments.length === 1 && baseSegments[0] === "") {
+        return "/";
+    }
+    return baseSegments.join("/");
+};
+
+module.exports = {
+    globToRegExp,
+    getGlobBase,
+    hasGlobMagic,
+};
\ No newline at end of file
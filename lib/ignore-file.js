@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+const { findUpwards } = require("./file-utils");
+const { globToRegExp } = require("./glob");
+
+const IGNORE_FILE_NAME = ".seriseiignore";
+
+// Caches shared across a run so each .seriseiignore is only searched for and parsed once
+const ignorePathCache = new Map(); // directory -> resolved .seriseiignore path (or null)
+const parsedIgnoreCache = new Map(); // .seriseiignore path -> parsed rules
+
+/**
+ * Parses the contents of an ignore file into rules, following .gitignore syntax:
+ * "#" comments, "!" negation, a leading or inner "/" anchors the pattern to the ignore file's
+ * directory, and a trailing "/" only matches directories.
+ * @param {string} content - The ignore file contents
+ * @returns {Array<{regex: RegExp, negate: boolean, directoryOnly: boolean}>} The rules, in file order
+ */
+const parseIgnoreRules = (content) => {
+    const rules = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        // Trailing spaces are ignored unless escaped with a backslash
+        let pattern = rawLine.replace(/(?<!\\)\s+$/, "").replace(/\\(\s)$/, "$1");
+        if (!pattern || pattern.startsWith("#")) continue;
+
+        let negate = false;
+        if (pattern.startsWith("!")) {
+            negate = true;
+            pattern = pattern.slice(1);
+        } else if (pattern.startsWith("\\#") || pattern.startsWith("\\!")) {
+            pattern = pattern.slice(1);
+        }
+
+        const directoryOnly = pattern.endsWith("/");
+        if (directoryOnly) {
+            pattern = pattern.slice(0, -1);
+        }
+
+        // A pattern without a slash (other than a trailing one) matches at any depth
+        const anchored = pattern.includes("/");
+        pattern = pattern.replace(/^\//, "");
+        if (!pattern) continue;
+
+        rules.push({
+            regex : globToRegExp(anchored ? pattern : `**/${pattern}`),
+            negate,
+            directoryOnly,
+        });
+    }
+
+    return rules;
+};
+
+/**
+ * Works out whether a single path is ignored: the last matching rule wins.
+ * @param {Array<object>} rules - Rules from parseIgnoreRules
+ * @param {string} relativePath - Path relative to the ignore file's directory, using forward slashes
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean}
+ */
+const matchesRules = (rules, relativePath, isDirectory) => {
+    let ignored = false;
+    for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) continue;
+        if (rule.regex.test(relativePath)) {
+            ignored = !rule.negate;
+        }
+    }
+    return ignored;
+};
+
+/**
+ * Checks a path against ignore rules. As in git, a file inside an ignored directory
+ * stays ignored even if a later rule negates the file itself.
+ * @param {Array<object>} rules - Rules from parseIgnoreRules
+ * @param {string} relativePath - Path of a file relative to the ignore file's directory, using forward slashes
+ * @returns {boolean}
+ */
+const isPathIgnored = (rules, relativePath) => {
+    const segments = relativePath.split("/");
+    for (let i = 1; i < segments.length; i++) {
+        if (matchesRules(rules, segments.slice(0, i).join("/"), true)) {
+            return true;
+        }
+    }
+    return matchesRules(rules, relativePath, false);
+};
+
+/**
+ * Checks whether a file is excluded by the nearest .seriseiignore, searching upwards
+ * from the file's directory the same way .seriseirc is found.
+ * @param {string} filePath - The path of the file
+ * @returns {boolean}
+ */
+const isIgnoredFile = (filePath) => {
+    const absolutePath = path.resolve(filePath);
+    const ignorePath = findUpwards(path.dirname(absolutePath), IGNORE_FILE_NAME, ignorePathCache);
+    if (!ignorePath) {
+        return false;
+    }
+
+    if (!parsedIgnoreCache.has(ignorePath)) {
+        let rules = [];
+        try {
+            rules = parseIgnoreRules(fs.readFileSync(ignorePath, "utf8"));
+        } catch (e) {
+            console.error(`Error reading ${ignorePath}:`, e);
+        }
+        parsedIgnoreCache.set(ignorePath, rules);
+    }
+
+    const relativePath = path.relative(path.dirname(ignorePath), absolutePath).split(path.sep).join("/");
+    return isPathIgnored(parsedIgnoreCache.get(ignorePath), relativePath);
+};
+
+/**
+ * Clears the cached ignore file lookups, e.g. after a .seriseiignore has been edited.
+ */
+const clearIgnoreCache = () => {
+    ignorePathCache.clear();
+    parsedIgnoreCache.clear();
+};
+
+module.exports = {
+    isIgnoredFile,
+    clearIgnoreCache,
+    parseIgnoreRules,
+    IGNORE_FILE_NAME,
+};
\ No newline at end of file
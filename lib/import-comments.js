@@ -0,0 +1,81 @@
+/**
+ * Skips a comment or string literal starting at an index.
+ * @param {string} text - The text
+ * @param {number} index - Where the comment or string may start
+ * @returns {number} The index after it, or the same index when there is none
+ */
+const skipCommentOrString = (text, index) => {
+    if (text.startsWith("//", index)) {
+        const end = text.indexOf("\n", index);
+        return end === -1 ? text.length : end;
+    }
+    if (text.startsWith("/*", index)) {
+        const end = text.indexOf("*/", index + 2);
+        return end === -1 ? text.length : end + 2;
+    }
+    if (text[index] === "\"" || text[index] === "'") {
+        let i = index + 1;
+        while (i < text.length && text[i] !== text[index]) {
+            i += text[i] === "\\" ? 2 : 1;
+        }
+        return i + 1;
+    }
+    return index;
+};
+
+/**
+ * Separates an import statement from the comments that travel with it (see joinImportComments).
+ * @param {string} text - The import statement with its comments
+ * @returns {{leading: string, statement: string, trailing: string}} The comment lines above the statement,
+ *          the statement itself, and the comments after it on its last line; missing parts are ""
+ */
+const splitImportComments = (text) => {
+    let start = 0;
+    for (;;) {
+        const afterSpace = start + (text.slice(start).match(/^\s*/)[0].length);
+        const afterComment = text.startsWith("/", afterSpace) ? skipCommentOrString(text, afterSpace) : afterSpace;
+        if (afterComment === afterSpace) {
+            start = afterSpace;
+            break;
+        }
+        start = afterComment;
+    }
+
+    // The statement ends at its semicolon, unless that is inside a string or a comment
+    let end = start;
+    while (end < text.length && text[end] !== ";") {
+        const skipped = skipCommentOrString(text, end);
+        end = skipped === end ? end + 1 : skipped;
+    }
+    end = Math.min(end + 1, text.length);
+
+    return {
+        leading   : text.slice(0, start).trim(),
+        statement : text.slice(start, end).trim(),
+        trailing  : text.slice(end).trim(),
+    };
+};
+
+/**
+ * Puts an import statement and its comments back together: leading comments on the lines above it,
+ * trailing comments after it on its last line.
+ * @param {{leading: string, statement: string, trailing: string}} parts - From splitImportComments
+ * @returns {string} The import statement with its comments
+ */
+const joinImportComments = ({ leading, statement, trailing }) => {
+    const lastLine = trailing ? `${statement} ${trailing}` : statement;
+    return leading ? `${leading}\n${lastLine}` : lastLine;
+};
+
+/**
+ * Returns just the code of an import statement, without the comments kept with it.
+ * @param {string} text - The import statement with its comments
+ * @returns {string} The statement
+ */
+const stripImportComments = (text) => splitImportComments(text).statement;
+
+module.exports = {
+    splitImportComments,
+    joinImportComments,
+    stripImportComments,
+};
\ No newline at end of file
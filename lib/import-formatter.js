@@ -1,3 +1,22 @@
+const { createMatcher, getMatcherKind, getModuleSpecifier } = require("./import-matchers");
+const { sortImportStatements } = require("./import-sorter");
+const { parseCode } = require("./ast-parser");
+const { isTypeImport } = require("./type-imports");
+const { splitImportComments, joinImportComments, stripImportComments } = require("./import-comments");
+
+// The group that collects `import type` declarations when TYPE_IMPORTS is "group"
+const TYPES_GROUP_LABEL = "// TYPES ";
+
+// The group that collects side-effect imports when SIDE_EFFECT_IMPORTS is "group"
+const SIDE_EFFECTS_GROUP_LABEL = "// SIDE EFFECTS ";
+
+/**
+ * Checks whether an import statement only runs a module for its side effects, e.g. `import "./polyfills"`.
+ * @param {string} statement - The import statement, possibly with its comments
+ * @returns {boolean}
+ */
+const isSideEffectImport = (statement) => /^import\s+["']/.test(stripImportComments(statement));
+
 /**
  * Creates a formatted header string padded to the specified width
  * @param {string} text - The header text
@@ -13,122 +32,212 @@ const createHeader = (text, headerChar, columnWidth) => {
 };
 
 /**
- * Formats a single import statement, breaking it into multi-line if it exceeds the column width
- * @param {string} importStatement - The import statement to format
+ * Breaks an import statement, or a re-export, into multi-line if it exceeds the column width.
+ * The statement is parsed, so `import type`, inline `type` names, aliases and import attributes
+ * come through the wrapping unchanged.
+ * @param {string} importStatement - The import statement, without comments
  * @param {number} columnWidth - The maximum column width
- * @returns {string} The formatted import statement (potentially multi-line)
+ * @returns {string} The wrapped import statement
  */
-const formatImportStatement = (importStatement, columnWidth) => {
+const wrapImportStatement = (importStatement, columnWidth) => {
     // If the import is already multi-line or within column width, return as-is
     const singleLine = importStatement.replace(/\n\s*/g, " ");
     if (singleLine.length <= columnWidth) {
         return importStatement;
     }
 
-    // Parse the import statement to extract components
-    // Matches: import [default,] { named, imports } from "module"
-    const defaultImportMatch = singleLine.match(/^import\s+([^{,]+?)\s*,?\s*\{/);
-    const namedImportsMatch = singleLine.match(/\{\s*([^}]+)\s*\}/);
-    const moduleMatch = singleLine.match(/from\s+["']([^"']+)["']/);
-    const sideEffectMatch = singleLine.match(/^import\s+["']([^"']+)["'];?$/);
-    const typeImportMatch = singleLine.match(/^import\s+type\s+/);
-
-    // Handle side-effect imports (no named imports)
-    if (sideEffectMatch) {
+    let node;
+    try {
+        node = parseCode(singleLine, "import.ts").program.body[0];
+    } catch (e) {
         return importStatement;
     }
 
-    // Handle default-only imports
-    if (!namedImportsMatch) {
+    // Side-effect, default-only and namespace imports (and `export *` re-exports) have no braces to break
+    const specifiers = node.specifiers || [];
+    const namedSpecifiers = specifiers.filter(specifier => ["ImportSpecifier", "ExportSpecifier"].includes(specifier.type));
+    if (namedSpecifiers.length === 0) {
         return importStatement;
     }
 
-    const defaultImport = defaultImportMatch ? defaultImportMatch[1].trim() : null;
-    const namedImports = namedImportsMatch[1].split(",").map(name => name.trim()).filter(Boolean);
-    const moduleName = moduleMatch ? moduleMatch[1] : "";
-    const isTypeImport = typeImportMatch !== null;
+    const textOf = (astNode) => singleLine.slice(astNode.start, astNode.end);
+    const defaultSpecifier = specifiers.find(specifier => ["ImportDefaultSpecifier", "ExportDefaultSpecifier"].includes(specifier.type));
+    const isExport = node.type !== "ImportDeclaration";
+    const isType = (isExport ? node.exportKind : node.importKind) === "type";
+    const importKeyword = `${isExport ? "export" : "import"}${isType ? " type" : ""}`;
 
     // Build multi-line format
-    const lines = [];
-    const importKeyword = isTypeImport ? "import type" : "import";
-
-    if (defaultImport) {
-        lines.push(`${importKeyword} ${defaultImport}, {`);
-    } else {
-        lines.push(`${importKeyword} {`);
-    }
+    const lines = [defaultSpecifier ? `${importKeyword} ${textOf(defaultSpecifier)}, {` : `${importKeyword} {`];
 
     // Add each named import on its own line with 4-space indentation
-    namedImports.forEach(namedImport => {
-        lines.push(`    ${namedImport},`);
+    namedSpecifiers.forEach(specifier => {
+        lines.push(`    ${textOf(specifier)},`);
     });
 
-    lines.push(`} from "${moduleName}";`);
+    // Everything from the module name on, including `with { type: "json" }`
+    lines.push(`} from ${singleLine.slice(node.source.start).trim()}`);
 
     return lines.join("\n");
 };
 
 /**
- * Takes raw import statements and returns formatted, grouped, and sorted lines.
+ * Formats a single import statement, breaking it into multi-line if it exceeds the column width.
+ * Its comments stay around it: leading ones above, trailing ones after the last line.
+ * @param {string} importStatement - The import statement to format, possibly with its comments
+ * @param {number} columnWidth - The maximum column width
+ * @returns {string} The formatted import statement (potentially multi-line)
+ */
+const formatImportStatement = (importStatement, columnWidth) => {
+    const { leading, statement, trailing } = splitImportComments(importStatement);
+    return joinImportComments({ leading, statement : wrapImportStatement(statement, columnWidth), trailing });
+};
+
+// Matching functions of the TYPES and SIDE EFFECTS groups, which only take their own kind of import
+const NEVER_MATCHES = {
+    isCatchAll          : false,
+    matchesSpecifier    : () => false,
+    matchesResolvedPath : () => false,
+};
+
+/**
+ * Finds the group an import belongs to. The module specifier as written decides first; the path it resolves to
+ * (e.g. `src/components/Button/Button.module.css` for `./Button.module.css`) is only a fallback, so a group
+ * matching the importing file's own folder doesn't take every relative import made from there.
+ * @param {object[]} groups - Groups from assignImportGroups
+ * @param {string} line - The import statement on a single line, without comments
+ * @param {(specifier: string) => ?string} resolveSpecifier - Turns a specifier into a project-relative path
+ * @returns {?object} The group, or null when none matches
+ */
+const findImportGroup = (groups, line, resolveSpecifier) => {
+    const specifier = getModuleSpecifier(line);
+    const resolvedPath = resolveSpecifier(specifier);
+
+    const bySpecifier = groups.find(group => group.matchesSpecifier(specifier, resolvedPath, line));
+    if (bySpecifier && !bySpecifier.isCatchAll) {
+        return bySpecifier;
+    }
+
+    // Groups after a catch-all group never get any imports, whichever way they match
+    const candidates = bySpecifier ? groups.slice(0, groups.indexOf(bySpecifier)) : groups;
+    const byResolvedPath = resolvedPath && candidates.find(group => group.matchesResolvedPath(resolvedPath, line));
+    return byResolvedPath || bySpecifier || null;
+};
+
+/**
+ * Sorts raw import statements into the configured groups. The first group matching the module specifier wins;
+ * only when no group but a catch-all one does, the groups before it are tried on the path the specifier resolves to.
  * @param {string[]} importStatements - Array of import statements.
  * @param {object} config - The configuration object.
- * @returns {string[]} Formatted lines for the import block.
+ * @param {object} [project] - What is known about the file's project
+ * @param {(specifier: string) => ?string} [project.resolveSpecifier] - Turns a specifier into a project-relative path
+ *        (see createSpecifierResolver); a group also matches an import when it matches that path and no group matches
+ *        the specifier itself, so `./Button.module.css` in a components folder still goes to a group for `*.css`.
+ * @param {{dependencies: Set<string>, workspacePackages: Set<string>}} [project.packages] - The project's packages,
+ *        for the @dependencies and @workspace matchers (see readProjectPackages)
+ * @returns {Array<{name: string, header: string, matches: string[]}>} Every group with the imports it matched.
  */
-const groupAndFormatImports = (importStatements, config) => {
+const assignImportGroups = (importStatements, config, { resolveSpecifier = () => null, packages } = {}) => {
     const { TO_COLUMN_WIDTH, HEADER_CHAR, groups : groupDefinitions } = config;
 
     const groups = groupDefinitions.map(group => {
         const isOtherGroup = group.name.includes("OTHER") || group.matchers.length === 0;
-        const matcher = isOtherGroup ? () => true : (line) => group.matchers.some(pkg => {
-            // For exact package names (quoted), do exact matching
-            if (pkg.startsWith("\"") || pkg.startsWith("'")) {
-                return line.includes(pkg);
-            }
-            // For file extensions (starting with .), use simple includes
-            if (pkg.startsWith(".")) {
-                return line.includes(pkg);
-            }
-            // For path-like matchers (ending with /), use simple includes
-            if (pkg.endsWith("/")) {
-                return line.includes(pkg);
-            }
-            // For package names, check if it's a complete package name match
-            // This handles cases like "react" not matching "fictoan-react"
-            const quotedPkg = `"${pkg}"`;
-            const singleQuotedPkg = `'${pkg}'`;
-            return line.includes(quotedPkg) || line.includes(singleQuotedPkg);
-        });
+        const matchers = group.matchers.map(pattern => ({
+            matches   : createMatcher(pattern, packages),
+            isKeyword : getMatcherKind(pattern) === "keyword",
+        }));
+        // Matchers only look at the module specifier (and where it points), never at the imported names.
+        // An import that resolves into the project is never a package, whatever its first segment is.
+        const matchesSpecifier = (specifier, resolvedPath, line) => matchers.some(({ matches, isKeyword }) => (isKeyword
+            ? !resolvedPath && matches(specifier, line)
+            : matches(specifier, line)));
+        const matchesResolvedPath = (resolvedPath, line) => matchers.some(({ matches, isKeyword }) => (
+            !isKeyword && matches(resolvedPath, line)));
         return {
-            header  : createHeader(group.name, HEADER_CHAR, TO_COLUMN_WIDTH),
-            matcher,
-            matches : [],
+            name                : group.name,
+            header              : createHeader(group.name, HEADER_CHAR, TO_COLUMN_WIDTH),
+            isCatchAll          : isOtherGroup,
+            matchesSpecifier    : isOtherGroup ? () => true : matchesSpecifier,
+            matchesResolvedPath : isOtherGroup ? () => false : matchesResolvedPath,
+            matches             : [],
         };
     });
 
+    // With TYPE_IMPORTS = group, every `import type` goes to the TYPES group, which is added last if the config has none
+    let typesGroup = null;
+    if (config.TYPE_IMPORTS === "group") {
+        typesGroup = groups.find(group => group.name === TYPES_GROUP_LABEL);
+        if (!typesGroup) {
+            typesGroup = {
+                name    : TYPES_GROUP_LABEL,
+                header  : createHeader(TYPES_GROUP_LABEL, HEADER_CHAR, TO_COLUMN_WIDTH),
+                matches : [],
+            };
+            groups.push(typesGroup);
+        }
+        // A TYPES group placed by the config only takes type imports, even though it has no matchers
+        Object.assign(typesGroup, NEVER_MATCHES);
+    }
+
+    // With SIDE_EFFECT_IMPORTS = group, side-effect imports keep their order in a group of their own, first by default
+    let sideEffectsGroup = null;
+    if (config.SIDE_EFFECT_IMPORTS === "group") {
+        sideEffectsGroup = groups.find(group => group.name === SIDE_EFFECTS_GROUP_LABEL);
+        if (!sideEffectsGroup) {
+            sideEffectsGroup = {
+                name    : SIDE_EFFECTS_GROUP_LABEL,
+                header  : createHeader(SIDE_EFFECTS_GROUP_LABEL, HEADER_CHAR, TO_COLUMN_WIDTH),
+                matches : [],
+            };
+            groups.unshift(sideEffectsGroup);
+        }
+        Object.assign(sideEffectsGroup, NEVER_MATCHES);
+        sideEffectsGroup.keepOrder = true;
+    }
+
     const processedImports = new Set();
     for (const imp of importStatements) {
         if (processedImports.has(imp)) continue;
-        for (const group of groups) {
-            const fullImport = imp.replace(/\n\s*/g, " ");
-            if (group.matcher(fullImport)) {
-                group.matches.push(imp);
-                processedImports.add(imp);
-                break;
-            }
+        // Comments kept with the import don't take part in matching
+        const fullImport = stripImportComments(imp).replace(/\n\s*/g, " ");
+        if (sideEffectsGroup && isSideEffectImport(fullImport)) {
+            sideEffectsGroup.matches.push(imp);
+            processedImports.add(imp);
+            continue;
+        }
+        if (typesGroup && isTypeImport(fullImport)) {
+            typesGroup.matches.push(imp);
+            processedImports.add(imp);
+            continue;
+        }
+        const group = findImportGroup(groups, fullImport, resolveSpecifier);
+        if (group) {
+            group.matches.push(imp);
+            processedImports.add(imp);
         }
     }
 
+    return groups;
+};
+
+/**
+ * Turns grouped imports into the lines of the import block: a header per non-empty group,
+ * followed by its sorted (and wrapped, if needed) imports.
+ * @param {Array<{header: string, matches: string[]}>} groups - Groups from assignImportGroups.
+ * @param {object} config - The configuration object.
+ * @returns {string[]} Formatted lines for the import block.
+ */
+const formatImportGroups = (groups, config) => {
+    const { TO_COLUMN_WIDTH } = config;
+
     const result = [];
     for (const group of groups) {
         if (group.matches.length) {
             result.push(group.header);
 
-            // Format each import statement (break into multi-line if needed)
-            const formattedImports = group.matches
-                .map(imp => formatImportStatement(imp, TO_COLUMN_WIDTH))
-                .sort();
-
-            result.push(...formattedImports);
+            // Format each import statement (break into multi-line if needed) and sort them,
+            // except in the SIDE EFFECTS group, which keeps source order
+            const formattedImports = group.matches.map(imp => formatImportStatement(imp, TO_COLUMN_WIDTH));
+            result.push(...(group.keepOrder ? formattedImports : sortImportStatements(formattedImports, config)));
             result.push("");
         }
     }
@@ -138,8 +247,78 @@ const groupAndFormatImports = (importStatements, config) => {
     return result;
 };
 
+/**
+ * Splits imports into the runs between side-effect imports, and the runs of side-effect imports themselves.
+ * @param {string[]} importStatements - Array of import statements, in source order.
+ * @returns {Array<{sideEffects: boolean, statements: string[]}>} The runs, in source order.
+ */
+const splitAtSideEffects = (importStatements) => {
+    const segments = [];
+    for (const statement of importStatements) {
+        const sideEffects = isSideEffectImport(statement);
+        const last = segments[segments.length - 1];
+        if (last && last.sideEffects === sideEffects) {
+            last.statements.push(statement);
+        } else {
+            segments.push({ sideEffects, statements : [statement] });
+        }
+    }
+    return segments;
+};
+
+/**
+ * Groups, sorts and formats the imports of a file according to SIDE_EFFECT_IMPORTS:
+ * - "barrier" (the default) keeps side-effect imports where they are, in their order, and groups and
+ *   sorts the imports between them separately, so nothing moves across a polyfill or stylesheet
+ * - "group" collects them into a SIDE EFFECTS group that keeps their order
+ * - "sort" groups and sorts them like any other import
+ * @param {string[]} importStatements - Array of import statements, in source order.
+ * @param {object} config - The configuration object.
+ * @param {object} [project] - What is known about the file's project, see assignImportGroups.
+ * @returns {{lines: string[], groups: Array<{name: string, header: ?string, matches: string[]}>}} Formatted lines for
+ *          the import block, and the groups in output order; in "barrier" mode, side-effect runs are reported as SIDE EFFECTS groups.
+ */
+const formatImportBlock = (importStatements, config, project) => {
+    if (config.SIDE_EFFECT_IMPORTS !== "barrier") {
+        const groups = assignImportGroups(importStatements, config, project);
+        return { lines : formatImportGroups(groups, config), groups };
+    }
+
+    const lines = [];
+    const groups = [];
+    for (const segment of splitAtSideEffects(importStatements)) {
+        if (lines.length > 0) {
+            lines.push("");
+        }
+        if (segment.sideEffects) {
+            lines.push(...segment.statements.map(statement => formatImportStatement(statement, config.TO_COLUMN_WIDTH)));
+            groups.push({ name : SIDE_EFFECTS_GROUP_LABEL, header : null, matches : segment.statements });
+            continue;
+        }
+        const segmentGroups = assignImportGroups(segment.statements, config, project);
+        lines.push(...formatImportGroups(segmentGroups, config));
+        groups.push(...segmentGroups);
+    }
+    return { lines, groups };
+};
+
+/**
+ * Takes raw import statements and returns formatted, grouped, and sorted lines.
+ * @param {string[]} importStatements - Array of import statements.
+ * @param {object} config - The configuration object.
+ * @returns {string[]} Formatted lines for the import block.
+ */
+const groupAndFormatImports = (importStatements, config) => {
+    return formatImportBlock(importStatements, config).lines;
+};
+
 module.exports = {
     groupAndFormatImports,
+    formatImportBlock,
+    assignImportGroups,
+    formatImportGroups,
     createHeader,
     formatImportStatement,
+    TYPES_GROUP_LABEL,
+    SIDE_EFFECTS_GROUP_LABEL,
 };
\ No newline at end of file
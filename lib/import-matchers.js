@@ -0,0 +1,136 @@
+const { builtinModules } = require("module");
+const { globToRegExp, hasGlobMagic } = require("./glob");
+
+// A matcher written as /source/flags is a regular expression
+const REGEX_MATCHER_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+// Matchers that stand for a set of packages, worked out from the project rather than listed by hand
+const PACKAGE_KEYWORDS = ["@dependencies", "@builtins", "@workspace"];
+
+// Package sets used when a matcher is compiled without knowing the project
+const NO_PACKAGES = { dependencies : new Set(), workspacePackages : new Set() };
+
+/**
+ * Extracts the module specifier from a single-line import statement.
+ * @param {string} importStatement - The import statement, with newlines collapsed
+ * @returns {string} The module specifier, or an empty string if none was found
+ */
+const getModuleSpecifier = (importStatement) => {
+    const match = importStatement.match(/(?:from\s+|^import\s+)["']([^"']+)["']/);
+    return match ? match[1] : "";
+};
+
+/**
+ * Returns the package a module specifier imports from, without any subpath:
+ * `lodash/fp` -> `lodash`, `@acme/ui/button` -> `@acme/ui`.
+ * @param {string} specifier - The module specifier
+ * @returns {string} The package name
+ */
+const getPackageName = (specifier) => {
+    const parts = specifier.split("/");
+    return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+};
+
+/**
+ * Checks whether a module specifier is a Node.js built-in: `node:` modules and bare core
+ * names such as `fs`, `path` or `fs/promises`.
+ * @param {string} specifier - The module specifier
+ * @returns {boolean}
+ */
+const isBuiltinModule = (specifier) => specifier.startsWith("node:")
+    || builtinModules.includes(specifier)
+    || builtinModules.includes(getPackageName(specifier));
+
+/**
+ * Checks whether a matcher is written as a regular expression literal.
+ * @param {string} pattern - The matcher from the config
+ * @returns {boolean}
+ */
+const isRegexMatcher = (pattern) => REGEX_MATCHER_PATTERN.test(pattern);
+
+/**
+ * Works out how a matcher is applied to the module specifier.
+ * - `@dependencies`, `@builtins` and `@workspace` match the project's packages, Node built-ins and workspace packages
+ * - `/source/flags` is a regular expression
+ * - patterns with glob syntax (`@acme/**`, `**\/*.css`) must match the whole specifier
+ * - `"name"` (quoted) and bare names must equal the specifier, so `react` doesn't match `fictoan-react`
+ * - names starting with `.` or ending with `/` match anywhere in the specifier, e.g. `.css` or `components/`
+ * Functions (from JS configs) decide for themselves.
+ * @param {string|Function} pattern - The matcher from the config
+ * @returns {"function"|"keyword"|"regex"|"glob"|"exact"|"contains"} The kind of matcher
+ */
+const getMatcherKind = (pattern) => {
+    if (typeof pattern === "function") return "function";
+    if (PACKAGE_KEYWORDS.includes(pattern)) return "keyword";
+    if (isRegexMatcher(pattern)) return "regex";
+    if (hasGlobMagic(pattern)) return "glob";
+    if (pattern.startsWith("\"") || pattern.startsWith("'")) return "exact";
+    if (pattern.startsWith(".") || pattern.endsWith("/")) return "contains";
+    return "exact";
+};
+
+/**
+ * Returns the text an exact matcher compares against, without surrounding quotes.
+ * @param {string} pattern - An exact matcher
+ * @returns {string} The module name
+ */
+const getExactName = (pattern) => pattern.replace(/^(["'])(.*)\1$/, "$2");
+
+/**
+ * Compiles a single group matcher (see getMatcherKind) into a predicate on the module specifier.
+ * Functions are called with the specifier and the whole statement.
+ * @param {string|Function} pattern - The matcher from the config
+ * @param {{dependencies: Set<string>, workspacePackages: Set<string>}} [packages] - The project's packages,
+ *        from readProjectPackages; without them @dependencies and @workspace match nothing
+ * @returns {(specifier: string, statement: string) => boolean} The compiled matcher
+ * @throws {SyntaxError} When a regular expression matcher is invalid
+ */
+const createMatcher = (pattern, packages = NO_PACKAGES) => {
+    const kind = getMatcherKind(pattern);
+
+    if (kind === "function") {
+        return (specifier, statement) => Boolean(pattern(specifier, statement));
+    }
+
+    if (kind === "keyword") {
+        if (pattern === "@builtins") {
+            return (specifier) => isBuiltinModule(specifier);
+        }
+        const names = pattern === "@dependencies" ? packages.dependencies : packages.workspacePackages;
+        return (specifier) => names.has(getPackageName(specifier));
+    }
+
+    if (kind === "regex") {
+        const [, source, flags] = pattern.match(REGEX_MATCHER_PATTERN);
+        const regex = new RegExp(source, flags);
+        // Reset lastIndex so /g and /y patterns give the same answer every time
+        return (specifier) => {
+            regex.lastIndex = 0;
+            return regex.test(specifier);
+        };
+    }
+
+    if (kind === "glob") {
+        const regex = globToRegExp(pattern);
+        // globToRegExp drops a leading "./" from the pattern, so drop it from the specifier too
+        return (specifier) => regex.test(specifier.replace(/^\.\//, ""));
+    }
+
+    if (kind === "contains") {
+        return (specifier) => specifier.includes(pattern);
+    }
+
+    const name = getExactName(pattern);
+    return (specifier) => specifier === name;
+};
+
+module.exports = {
+    createMatcher,
+    getModuleSpecifier,
+    getPackageName,
+    isBuiltinModule,
+    isRegexMatcher,
+    getMatcherKind,
+    getExactName,
+    PACKAGE_KEYWORDS,
+};
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Builds the key that decides which import declarations may be merged: the same module,
+ * the same import attributes (`with { type: "json" }`) and the same phase (`import defer`).
+ * @param {object} node - An ImportDeclaration
+ * @returns {string} The key
+ */
+const getModuleKey = (node) => {
+    const attributes = node.attributes || node.assertions || [];
+    const attributesKey = attributes
+        .map(attribute => `${attribute.key.name || attribute.key.value}=${attribute.value.value}`)
+        .join(",");
+    return `${node.source.value}\0${attributesKey}\0${node.phase || ""}`;
+};
+
+/**
+ * Returns the exported name a named specifier imports, which may be a string (`import { "a-b" as ab }`).
+ * @param {object} specifier - An ImportSpecifier
+ * @returns {string} The imported name
+ */
+const getImportedName = (specifier) => specifier.imported.name || specifier.imported.value;
+
+/**
+ * Merges import declarations of the same module into as few declarations as possible.
+ * Specifiers are deduplicated, and a name imported both as a type and as a value stays a value.
+ * The comments of all the declarations go with the first merged statement.
+ * Some combinations can't be written as one statement, so they stay separate:
+ * - a second default import with another local name, or a second namespace import
+ * - a namespace import next to named imports (`import * as ns` never joins `{ a }`)
+ * - for `import type`, a default next to named or namespace bindings, which TypeScript rejects
+ * @param {object[]} nodes - ImportDeclarations of the same module, in source order
+ * @returns {object[]} The merged declarations
+ */
+const mergeDeclarations = (nodes) => {
+    if (nodes.length === 1) {
+        return nodes;
+    }
+
+    // Only type imports stay an `import type`; otherwise type-only parts become inline `type` modifiers
+    const allTypes = nodes.every(node => node.importKind === "type");
+    const defaults = [];
+    const namespaces = [];
+    const named = [];
+
+    for (const node of nodes) {
+        for (const specifier of node.specifiers) {
+            if (specifier.type === "ImportDefaultSpecifier" || specifier.type === "ImportNamespaceSpecifier") {
+                const list = specifier.type === "ImportDefaultSpecifier" ? defaults : namespaces;
+                if (!list.some(existing => existing.local.name === specifier.local.name)) {
+                    list.push(specifier);
+                }
+                continue;
+            }
+
+            const importKind = !allTypes && (node.importKind === "type" || specifier.importKind === "type") ? "type" : "value";
+            const existing = named.find(other => getImportedName(other) === getImportedName(specifier)
+                && other.local.name === specifier.local.name);
+            if (!existing) {
+                named.push({ ...specifier, importKind, leadingComments : null, trailingComments : null });
+            } else if (importKind === "value") {
+                existing.importKind = "value";
+            }
+        }
+    }
+
+    const build = (specifiers, index) => ({
+        ...nodes[0],
+        importKind       : allTypes ? "type" : "value",
+        specifiers,
+        leadingComments  : index === 0 ? nodes.flatMap(node => node.leadingComments || []) : null,
+        trailingComments : index === 0 ? nodes.flatMap(node => node.trailingComments || []) : null,
+        innerComments    : null,
+    });
+
+    const mainSpecifiers = [...named];
+    const separate = [];
+    if (mainSpecifiers.length === 0 && namespaces.length > 0) {
+        mainSpecifiers.push(namespaces[0]);
+        separate.push(...namespaces.slice(1));
+    } else {
+        separate.push(...namespaces);
+    }
+
+    if (defaults.length > 0 && (!allTypes || mainSpecifiers.length === 0)) {
+        mainSpecifiers.unshift(defaults[0]);
+        separate.unshift(...defaults.slice(1));
+    } else {
+        separate.unshift(...defaults);
+    }
+
+    return [mainSpecifiers, ...separate.map(specifier => [specifier])]
+        .filter(specifiers => specifiers.length > 0)
+        .map(build);
+};
+
+/**
+ * Merges duplicate imports of the same module, e.g. `import { a } from "x"` and `import { b } from "x"`
+ * into `import { a, b } from "x"`. The merged statement takes the place of the first one.
+ * Side-effect imports are left alone, and `import type` stays separate from value imports unless
+ * inline `type` modifiers are allowed. Only type imports with named bindings can be inlined, since
+ * a default or namespace binding can't be marked as a type inside a value import.
+ * @param {object[]} importNodes - The ImportDeclarations of a file, in source order
+ * @param {object} [options] - Merge options
+ * @param {boolean} [options.inlineTypes=false] - Whether `import type { A }` may become `type A` in a value import
+ * @returns {object[]} The declarations after merging
+ */
+const mergeDuplicateImports = (importNodes, { inlineTypes = false } = {}) => {
+    const buckets = new Map(); // merge key -> declarations to merge
+    const entries = []; // declarations and buckets, in order of first appearance
+
+    for (const node of importNodes) {
+        if (node.specifiers.length === 0) {
+            entries.push(node);
+            continue;
+        }
+
+        const kind = node.importKind || "value";
+        const joinsValues = inlineTypes && kind === "type"
+            && node.specifiers.every(specifier => specifier.type === "ImportSpecifier");
+        const key = `${joinsValues ? "value" : kind}\0${getModuleKey(node)}`;
+
+        if (!buckets.has(key)) {
+            const bucket = [];
+            buckets.set(key, bucket);
+            entries.push(bucket);
+        }
+        buckets.get(key).push(node);
+    }
+
+    return entries.flatMap(entry => Array.isArray(entry) ? mergeDeclarations(entry) : [entry]);
+};
+
+module.exports = {
+    mergeDuplicateImports,
+};
\ No newline at end of file
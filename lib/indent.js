@@ -62,6 +62,24 @@ const detectIndentStyle = (code) => {
     return { type : "spaces", size : indentSize };
 };
 
+/**
+ * Adopts the file's own indentation when the config uses the default spaces/4, whether that
+ * comes from the defaults or is set explicitly. Any other indentation setting is respected.
+ * @param {object} config - The resolved configuration
+ * @param {string} code - The source code
+ * @returns {{config: object, detected: boolean}} The config to format with, and whether detection replaced the setting
+ */
+const applyDetectedIndent = (config, code) => {
+    if (config.INDENT_TYPE !== "spaces" || config.INDENT_SIZE !== 4) {
+        return { config, detected : false };
+    }
+    const detectedIndent = detectIndentStyle(code);
+    return {
+        config   : { ...config, INDENT_TYPE : detectedIndent.type, INDENT_SIZE : detectedIndent.size },
+        detected : true,
+    };
+};
+
 /**
  * Returns the appropriate indentation string based on config
  * @param {object} config - The configuration object
@@ -91,6 +109,7 @@ const normalizeIndentation = (line, level, config) => {
 
 module.exports = {
     detectIndentStyle,
+    applyDetectedIndent,
     getIndentString,
     normalizeIndentation,
 };
\ No newline at end of file
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+const { extractImports } = require("./ast-parser");
+const { resolveConfig } = require("./config");
+const { IGNORED_DIRECTORIES, walkDirectory } = require("./file-discovery");
+const { isIgnoredFile } = require("./ignore-file");
+const { stripImportComments } = require("./import-comments");
+const { assignImportGroups } = require("./import-formatter");
+const { getModuleSpecifier, isBuiltinModule } = require("./import-matchers");
+const { readJsonFile, readWorkspaceGlobs, findWorkspacePackages, readProjectPackages } = require("./project-packages");
+const { readTsconfigPaths, createSpecifierResolver } = require("./tsconfig");
+
+// Upper bound on files parsed for the preview, so init stays quick in huge repositories
+const MAX_SCANNED_FILES = 2000;
+
+// Where folder groups go relative to each other; folders not listed follow in alphabetical order
+const FOLDER_ORDER = [
+    "app", "pages", "layouts", "contexts", "providers", "components", "ui", "features", "modules",
+    "configs", "config", "lib", "logic", "services", "api", "hooks", "store", "stores", "state",
+    "data", "mock-data", "types", "typings", "utils", "helpers", "styles", "assets",
+];
+
+// Imports that are stylesheets rather than code
+const STYLE_IMPORT_PATTERN = /\.(css|scss|sass|less)$/;
+
+/**
+ * Lists the folders that organise the project's code: those directly under src/, or,
+ * without a src/ folder, top-level folders that contain source files.
+ * @param {string} directory - The project directory
+ * @param {string[]} excluded - Top-level folders to leave out, e.g. workspace roots
+ * @returns {string[]} The folder names
+ */
+const findSourceFolders = (directory, excluded) => {
+    const sourceRoot = path.join(directory, "src");
+    const hasSrc = fs.existsSync(sourceRoot) && fs.statSync(sourceRoot).isDirectory();
+    const root = hasSrc ? sourceRoot : directory;
+
+    return fs.readdirSync(root, { withFileTypes : true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .filter(name => !name.startsWith(".") && !IGNORED_DIRECTORIES.has(name) && !excluded.includes(name))
+        .filter(name => hasSrc || walkDirectory(path.join(root, name)).length > 0);
+};
+
+/**
+ * Collects the import statements of the project's source files, per file.
+ * @param {string} directory - The project directory
+ * @returns {{importsByFile: Array<{file: string, statements: string[]}>, fileCount: number, truncated: boolean}}
+ *          The imports found
+ */
+const collectImports = (directory) => {
+    const files = walkDirectory(directory).filter(file => !isIgnoredFile(file));
+    const scanned = files.slice(0, MAX_SCANNED_FILES);
+    const config = resolveConfig();
+    const importsByFile = [];
+
+    for (const file of scanned) {
+        try {
+            const { importStatements, parseError } = extractImports(fs.readFileSync(file, "utf8"), config, file);
+            if (!parseError) {
+                importsByFile.push({ file, statements : importStatements.map(stripImportComments) });
+            }
+        } catch (e) {
+            // Unreadable files just don't count towards the preview
+        }
+    }
+
+    return { importsByFile, fileCount : scanned.length, truncated : files.length > scanned.length };
+};
+
+/**
+ * Proposes import groups for a project from its package.json, workspaces, tsconfig paths,
+ * source folders and the imports it already has.
+ * @param {string} directory - The project directory
+ * @returns {{groups: Array<{name: string, matchers: string[]}>, importsByFile: Array<object>, fileCount: number, truncated: boolean}}
+ *          The proposed groups, in order, and the imports they were based on
+ */
+const proposeGroups = (directory) => {
+    const packageJson = readJsonFile(path.join(directory, "package.json")) || {};
+    const { importsByFile, fileCount, truncated } = collectImports(directory);
+    const statements = importsByFile.flatMap(imports => imports.statements);
+    const specifiers = [...new Set(statements.map(statement => getModuleSpecifier(statement.replace(/\n\s*/g, " "))))];
+    const groups = [];
+
+    if (specifiers.some(isBuiltinModule)) {
+        groups.push({ name : "node", matchers : ["@builtins"] });
+    }
+
+    // Package lists are worked out per file when formatting, so the groups stay right as dependencies change
+    const workspacePackages = findWorkspacePackages(directory, packageJson).filter(name => name !== packageJson.name);
+    const hasDependencies = ["dependencies", "peerDependencies", "devDependencies"]
+        .some(field => Object.keys(packageJson[field] || {}).length > 0);
+
+    if (hasDependencies || workspacePackages.length > 0) {
+        groups.push({ name : "external", matchers : ["@dependencies"] });
+    }
+    if (workspacePackages.length > 0) {
+        groups.push({ name : "workspace", matchers : ["@workspace"] });
+    }
+
+    // Workspace folders hold packages, not code that the project imports by folder name
+    const workspaceRoots = readWorkspaceGlobs(directory, packageJson).map(glob => glob.split("/")[0]);
+    const folders = findSourceFolders(directory, workspaceRoots);
+    const orderOf = (name) => FOLDER_ORDER.includes(name) ? FOLDER_ORDER.indexOf(name) : FOLDER_ORDER.length;
+    folders.sort((a, b) => orderOf(a) - orderOf(b) || a.localeCompare(b));
+
+    const importsStyles = specifiers.some(specifier => STYLE_IMPORT_PATTERN.test(specifier));
+    for (const folder of folders) {
+        const matchers = [`${folder}/`];
+        if (folder === "styles" && importsStyles) {
+            matchers.push("**/*.{css,scss,sass,less}");
+        }
+        groups.push({ name : folder, matchers });
+    }
+    if (importsStyles && !folders.includes("styles")) {
+        groups.push({ name : "styles", matchers : ["**/*.{css,scss,sass,less}"] });
+    }
+
+    const tsconfig = readTsconfigPaths(directory);
+    const aliases = tsconfig ? Object.keys(tsconfig.paths) : [];
+    if (aliases.length > 0) {
+        groups.push({ name : "aliases", matchers : aliases.map(alias => alias.replace(/\*$/, "**")) });
+    }
+
+    return { groups, importsByFile, fileCount, truncated };
+};
+
+/**
+ * Writes proposed groups as a .seriseirc.
+ * @param {Array<{name: string, matchers: string[]}>} groups - The groups, in order
+ * @returns {string} The file contents
+ */
+const renderConfig = (groups) => {
+    const lines = [
+        "# Generated by `serisei init`. Imports go to the first group that matches, from top to bottom;",
+        "# anything that matches no group ends up in OTHER.",
+        "",
+        "[groups]",
+        ...groups.map(group => `${group.name} = ${group.matchers.join(", ")}`),
+    ];
+    return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Shows how the project's current imports would be spread across the proposed groups.
+ * @param {object} proposal - From proposeGroups
+ * @returns {string} The preview, one line per group
+ */
+const renderPreview = ({ groups, importsByFile, fileCount, truncated }) => {
+    const config = resolveConfig({ groups });
+    const specifierCounts = new Map(config.groups.map(group => [group.name, new Map()]));
+
+    for (const { file, statements } of importsByFile) {
+        const project = { resolveSpecifier : createSpecifierResolver(file), packages : readProjectPackages(file) };
+        for (const group of assignImportGroups(statements, config, project)) {
+            const counts = specifierCounts.get(group.name);
+            for (const statement of group.matches) {
+                const specifier = getModuleSpecifier(statement.replace(/\n\s*/g, " "));
+                counts.set(specifier, (counts.get(specifier) || 0) + 1);
+            }
+        }
+    }
+
+    const importCount = importsByFile.reduce((total, imports) => total + imports.statements.length, 0);
+    const scope = truncated ? `the first ${fileCount} files` : `${fileCount} ${fileCount === 1 ? "file" : "files"}`;
+    const lines = [`${importCount} imports in ${scope} would be grouped like this:`];
+    const displayName = (group) => group.name.replace(/^\/\/\s*/, "").trim();
+    const nameWidth = Math.max(...config.groups.map(group => displayName(group).length));
+
+    for (const group of config.groups) {
+        const counts = specifierCounts.get(group.name);
+        const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+        const examples = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([specifier]) => specifier);
+        const more = counts.size > examples.length ? ", …" : "";
+        const summary = `  ${displayName(group).padEnd(nameWidth)} ${String(total).padStart(5)}  ${examples.join(", ")}${more}`;
+        lines.push(summary.trimEnd());
+    }
+
+    return lines.join("\n");
+};
+
+module.exports = {
+    proposeGroups,
+    renderConfig,
+    renderPreview,
+};
\ No newline at end of file
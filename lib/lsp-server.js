@@ -0,0 +1,265 @@
+const path = require("path");
+const { fileURLToPath } = require("url");
+const { format, ParseError } = require("./format");
+const { clearConfigCache, findConfigPath } = require("./config");
+const { validateConfigFile, formatDiagnostic } = require("./config-validator");
+const { isIgnoredFile, clearIgnoreCache } = require("./ignore-file");
+const { clearTsconfigCache } = require("./tsconfig");
+const { clearProjectPackagesCache } = require("./project-packages");
+const { createLineEdits } = require("./diff");
+
+// JSON-RPC / LSP error codes used by the server
+const ERROR_CODES = {
+    INVALID_REQUEST        : -32600,
+    METHOD_NOT_FOUND       : -32601,
+    INTERNAL_ERROR         : -32603,
+    SERVER_NOT_INITIALIZED : -32002,
+};
+
+// LSP TextDocumentSyncKind.Full: clients send the whole document on every change
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+
+// LSP MessageType values for window/logMessage
+const MESSAGE_TYPES = {
+    ERROR   : 1,
+    WARNING : 2,
+};
+
+/**
+ * Converts a document URI into a file path for config discovery and parser choice.
+ * Non-file URIs (e.g. untitled buffers) keep only their path part.
+ * @param {string} uri - The document URI
+ * @returns {string} The file path
+ */
+const uriToFilePath = (uri) => {
+    if (uri.startsWith("file:")) {
+        return fileURLToPath(uri);
+    }
+    return uri.replace(/^[a-z-]+:/i, "");
+};
+
+/**
+ * Returns the last line a range actually covers. A range ending at column 0 stops before that line.
+ * @param {{start: {line: number}, end: {line: number, character: number}}} range - An LSP range
+ * @returns {number} The 0-based last line
+ */
+const getLastLine = (range) => {
+    return range.end.character === 0 && range.end.line > range.start.line ? range.end.line - 1 : range.end.line;
+};
+
+/**
+ * Converts an LSP range into the 1-based, inclusive line range format() expects.
+ * @param {object} range - An LSP range
+ * @returns {{start: number, end: number}} The line range
+ */
+const toLineRange = (range) => ({ start : range.start.line + 1, end : getLastLine(range) + 1 });
+
+/**
+ * Reads Content-Length framed JSON-RPC messages from a stream.
+ * @param {NodeJS.ReadableStream} input - The stream to read from
+ * @param {(message: object) => void} onMessage - Called with every parsed message
+ */
+const readMessages = (input, onMessage) => {
+    let buffer = Buffer.alloc(0);
+
+    input.on("data", (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (true) {
+            const headerEnd = buffer.indexOf("\r\n\r\n");
+            if (headerEnd === -1) return;
+
+            const header = buffer.slice(0, headerEnd).toString("ascii");
+            const lengthMatch = header.match(/Content-Length:\s*(\d+)/i);
+            if (!lengthMatch) {
+                // Not a valid frame, drop the header and try to resynchronise
+                buffer = buffer.slice(headerEnd + 4);
+                continue;
+            }
+
+            const bodyStart = headerEnd + 4;
+            const bodyEnd = bodyStart + parseInt(lengthMatch[1], 10);
+            if (buffer.length < bodyEnd) return;
+
+            const body = buffer.slice(bodyStart, bodyEnd).toString("utf8");
+            buffer = buffer.slice(bodyEnd);
+
+            try {
+                onMessage(JSON.parse(body));
+            } catch (error) {
+                // Ignore malformed JSON, the client will time out on its request
+            }
+        }
+    });
+};
+
+/**
+ * Starts a Language Server that formats documents over JSON-RPC.
+ * Supports textDocument/formatting and textDocument/rangeFormatting with full document sync.
+ * @param {object} [streams] - The streams to talk over, stdin/stdout by default
+ * @param {NodeJS.ReadableStream} [streams.input] - Where client messages come from
+ * @param {NodeJS.WritableStream} [streams.output] - Where server messages go
+ * @param {string} [streams.configFile] - Config file to use for every document instead of searching for one
+ * @returns {Promise<number>} Resolves with the exit code once the client sends "exit" or closes the input
+ */
+const startLspServer = ({ input = process.stdin, output = process.stdout, configFile } = {}) => {
+    const documents = new Map(); // uri -> current document text
+    const reportedConfigProblems = new Map(); // config path -> the problems last logged for it
+    let initialized = false;
+    let shutdownRequested = false;
+
+    const send = (message) => {
+        const json = JSON.stringify({ jsonrpc : "2.0", ...message });
+        output.write(`Content-Length: ${Buffer.byteLength(json, "utf8")}\r\n\r\n${json}`);
+    };
+
+    const log = (type, message) => {
+        send({ method : "window/logMessage", params : { type, message } });
+    };
+
+    /**
+     * Logs the problems in a config file and the configs it extends, but only when they differ from the last
+     * time, so formatting the same document over and over doesn't flood the client's log.
+     * @param {string} configPath - The config file path
+     */
+    const reportConfigProblems = (configPath) => {
+        const problems = validateConfigFile(configPath).map(diagnostic => formatDiagnostic(diagnostic, diagnostic.file));
+        if (reportedConfigProblems.get(configPath) === problems.join("\n")) {
+            return;
+        }
+        reportedConfigProblems.set(configPath, problems.join("\n"));
+        problems.forEach(problem => log(MESSAGE_TYPES.WARNING, `serisei: ${problem}`));
+    };
+
+    /**
+     * Formats an open document and returns the edits that turn it into the formatted version.
+     * @param {string} uri - The document URI
+     * @param {object} [range] - Only format the import and type blocks touching this LSP range
+     * @returns {Array<object>} LSP TextEdits
+     */
+    const formatDocument = (uri, range) => {
+        const text = documents.get(uri);
+        if (text === undefined) {
+            return [];
+        }
+
+        // The server is long-lived, so pick up config, .seriseiignore, tsconfig and package.json edits made since the last request
+        clearConfigCache();
+        clearIgnoreCache();
+        clearTsconfigCache();
+        clearProjectPackagesCache();
+
+        const filePath = uriToFilePath(uri);
+        if (isIgnoredFile(filePath)) {
+            return [];
+        }
+
+        const configPath = configFile || findConfigPath(path.dirname(path.resolve(filePath)));
+        if (configPath) {
+            reportConfigProblems(configPath);
+        }
+
+        try {
+            const result = format(text, {
+                filePath,
+                range    : range ? toLineRange(range) : undefined,
+                configFile,
+            });
+            if (result.skipped) {
+                result.warnings.forEach(warning => log(MESSAGE_TYPES.WARNING, `serisei: ${warning}`));
+                return [];
+            }
+            return createLineEdits(text, result.code);
+        } catch (error) {
+            // Half-typed code is normal while editing, so report instead of failing the request
+            if (error instanceof ParseError) {
+                log(MESSAGE_TYPES.WARNING, `serisei: could not parse ${uri}: ${error.message}`);
+                return [];
+            }
+            throw error;
+        }
+    };
+
+    const requestHandlers = {
+        "initialize"                   : () => {
+            initialized = true;
+            return {
+                capabilities : {
+                    textDocumentSync                : TEXT_DOCUMENT_SYNC_FULL,
+                    documentFormattingProvider      : true,
+                    documentRangeFormattingProvider : true,
+                },
+                serverInfo   : { name : "serisei" },
+            };
+        },
+        "shutdown"                     : () => {
+            shutdownRequested = true;
+            return null;
+        },
+        "textDocument/formatting"      : (params) => formatDocument(params.textDocument.uri),
+        "textDocument/rangeFormatting" : (params) => formatDocument(params.textDocument.uri, params.range),
+    };
+
+    const notificationHandlers = {
+        "textDocument/didOpen"   : (params) => {
+            documents.set(params.textDocument.uri, params.textDocument.text);
+        },
+        "textDocument/didChange" : (params) => {
+            const changes = params.contentChanges;
+            if (changes.length > 0) {
+                documents.set(params.textDocument.uri, changes[changes.length - 1].text);
+            }
+        },
+        "textDocument/didClose"  : (params) => {
+            documents.delete(params.textDocument.uri);
+        },
+    };
+
+    return new Promise((resolve) => {
+        readMessages(input, (message) => {
+            const { id, method, params } = message;
+            const isRequest = id !== undefined && method !== undefined;
+
+            if (method === "exit") {
+                resolve(shutdownRequested ? 0 : 1);
+                return;
+            }
+
+            if (!isRequest) {
+                const handler = notificationHandlers[method];
+                if (handler && initialized) {
+                    handler(params);
+                }
+                return;
+            }
+
+            if (!initialized && method !== "initialize") {
+                send({ id, error : { code : ERROR_CODES.SERVER_NOT_INITIALIZED, message : "Server not initialized" } });
+                return;
+            }
+            if (shutdownRequested) {
+                send({ id, error : { code : ERROR_CODES.INVALID_REQUEST, message : "Server is shutting down" } });
+                return;
+            }
+
+            const handler = requestHandlers[method];
+            if (!handler) {
+                send({ id, error : { code : ERROR_CODES.METHOD_NOT_FOUND, message : `Unhandled method ${method}` } });
+                return;
+            }
+
+            try {
+                send({ id, result : handler(params) });
+            } catch (error) {
+                log(MESSAGE_TYPES.ERROR, `serisei: ${error.stack || error.message}`);
+                send({ id, error : { code : ERROR_CODES.INTERNAL_ERROR, message : error.message } });
+            }
+        });
+
+        input.on("end", () => resolve(shutdownRequested ? 0 : 1));
+    });
+};
+
+module.exports = {
+    startLspServer,
+};
\ No newline at end of file
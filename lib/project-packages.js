@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const { IGNORED_DIRECTORIES } = require("./file-discovery");
+const { findUpwards } = require("./file-utils");
+const { globToRegExp, getGlobBase } = require("./glob");
+
+const packageJsonPathCache = new Map(); // directory -> nearest package.json path
+const workspaceRootCache = new Map(); // directory -> nearest file that declares workspaces
+const projectPackagesCache = new Map(); // package.json path -> the packages its files can import
+
+/**
+ * Reads a JSON file, or returns null if it is missing or invalid.
+ * @param {string} filePath - The file path
+ * @returns {object|null} The parsed contents
+ */
+const readJsonFile = (filePath) => {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Reads the workspace globs from package.json "workspaces" or pnpm-workspace.yaml.
+ * @param {string} directory - The project directory
+ * @param {object} packageJson - The project's package.json
+ * @returns {string[]} The workspace globs, without negated ones
+ */
+const readWorkspaceGlobs = (directory, packageJson) => {
+    const { workspaces } = packageJson;
+    let globs = Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || [];
+
+    const pnpmWorkspacePath = path.join(directory, "pnpm-workspace.yaml");
+    if (fs.existsSync(pnpmWorkspacePath)) {
+        // Only the "packages:" list matters, so a line-based read is enough
+        const listItems = fs.readFileSync(pnpmWorkspacePath, "utf8").match(/^\s*-\s*["']?[^"'\n]+["']?\s*$/gm) || [];
+        globs = globs.concat(listItems.map(item => item.replace(/^\s*-\s*["']?|["']?\s*$/g, "")));
+    }
+
+    return globs.filter(glob => typeof glob === "string" && !glob.startsWith("!"));
+};
+
+/**
+ * Lists the names of the packages in the project's workspaces.
+ * @param {string} directory - The project directory
+ * @param {object} packageJson - The project's package.json
+ * @returns {string[]} The package names
+ */
+const findWorkspacePackages = (directory, packageJson) => {
+    const names = new Set();
+
+    for (const glob of readWorkspaceGlobs(directory, packageJson)) {
+        const pattern = globToRegExp(glob.replace(/\/$/, ""));
+        const base = getGlobBase(glob);
+        const baseDepth = base ? base.split("/").length : 0;
+        const depth = glob.includes("**") ? baseDepth + 3 : glob.replace(/\/$/, "").split("/").length;
+
+        // Walk directories below the glob's static part, as deep as the glob can reach
+        const visit = (relativeDir, level) => {
+            const absoluteDir = path.join(directory, relativeDir);
+            if (relativeDir && pattern.test(relativeDir)) {
+                const workspacePackage = readJsonFile(path.join(absoluteDir, "package.json"));
+                if (workspacePackage && workspacePackage.name) {
+                    names.add(workspacePackage.name);
+                }
+            }
+            if (level >= depth) return;
+
+            let entries = [];
+            try {
+                entries = fs.readdirSync(absoluteDir, { withFileTypes : true });
+            } catch (e) {
+                return;
+            }
+            for (const entry of entries) {
+                if (entry.isDirectory() && !IGNORED_DIRECTORIES.has(entry.name) && !entry.name.startsWith(".")) {
+                    visit(relativeDir ? `${relativeDir}/${entry.name}` : entry.name, level + 1);
+                }
+            }
+        };
+
+        visit(base, baseDepth);
+    }
+
+    return [...names];
+};
+
+/**
+ * Finds the root of the workspace a directory belongs to: the nearest directory with a
+ * pnpm-workspace.yaml, or with a package.json that declares "workspaces".
+ * @param {string} startDir - The directory to start searching from
+ * @returns {string|null} The workspace root directory
+ */
+const findWorkspaceRoot = (startDir) => {
+    const declaresWorkspaces = (filePath) => path.basename(filePath) === "pnpm-workspace.yaml"
+        || Boolean((readJsonFile(filePath) || {}).workspaces);
+    const foundPath = findUpwards(startDir, ["pnpm-workspace.yaml", "package.json"], workspaceRootCache, declaresWorkspaces);
+    return foundPath ? path.dirname(foundPath) : null;
+};
+
+/**
+ * Lists the packages a file can import by name, for the @dependencies and @workspace matchers:
+ * the dependencies, devDependencies and peerDependencies of the nearest package.json, and the
+ * packages of the npm, yarn or pnpm workspace it belongs to. Workspace packages only count as
+ * workspace packages, even when they are also listed as dependencies.
+ * @param {string} filePath - The file the imports belong to
+ * @returns {{dependencies: Set<string>, workspacePackages: Set<string>}} The package names
+ */
+const readProjectPackages = (filePath) => {
+    const packageJsonPath = findUpwards(path.dirname(path.resolve(filePath)), "package.json", packageJsonPathCache);
+    if (!packageJsonPath) {
+        return { dependencies : new Set(), workspacePackages : new Set() };
+    }
+    if (projectPackagesCache.has(packageJsonPath)) {
+        return projectPackagesCache.get(packageJsonPath);
+    }
+
+    const packageJson = readJsonFile(packageJsonPath) || {};
+    const workspaceRoot = findWorkspaceRoot(path.dirname(packageJsonPath));
+    const workspacePackages = new Set(workspaceRoot
+        ? findWorkspacePackages(workspaceRoot, readJsonFile(path.join(workspaceRoot, "package.json")) || {})
+        : []);
+    const dependencies = new Set([
+        ...Object.keys(packageJson.dependencies || {}),
+        ...Object.keys(packageJson.devDependencies || {}),
+        ...Object.keys(packageJson.peerDependencies || {}),
+    ].filter(name => !workspacePackages.has(name)));
+
+    const packages = { dependencies, workspacePackages };
+    projectPackagesCache.set(packageJsonPath, packages);
+    return packages;
+};
+
+/**
+ * Forgets cached package.json and workspace lookups, e.g. after a package.json was edited.
+ */
+const clearProjectPackagesCache = () => {
+    packageJsonPathCache.clear();
+    workspaceRootCache.clear();
+    projectPackagesCache.clear();
+};
+
+module.exports = {
+    readJsonFile,
+    readWorkspaceGlobs,
+    findWorkspacePackages,
+    readProjectPackages,
+    clearProjectPackagesCache,
+};
\ No newline at end of file
@@ -0,0 +1,326 @@
+const fs = require("fs");
+const path = require("path");
+const { findUpwards } = require("./file-utils");
+
+// Project files that can declare path aliases, in order of preference
+const TSCONFIG_FILE_NAMES = ["tsconfig.json", "jsconfig.json"];
+
+// Extensions tried when checking whether an import resolves to a file under baseUrl
+const RESOLVED_EXTENSIONS = [".ts", ".tsx", ".d.ts", ".js", ".jsx", ".mjs", ".cjs", ".json"];
+
+// The compiler options that decide what JSX compiles to
+const JSX_OPTIONS = ["jsx", "jsxFactory", "jsxFragmentFactory"];
+
+const tsconfigCache = new Map(); // tsconfig path -> resolved baseUrl and paths, or null
+const tsconfigPathCache = new Map(); // directory -> nearest tsconfig path
+const packageJsonPathCache = new Map(); // directory -> nearest package.json path
+
+/**
+ * Parses JSON with comments and trailing commas, as used by tsconfig.json.
+ * @param {string} content - The file contents
+ * @returns {*} The parsed value
+ * @throws {SyntaxError} When the content isn't valid even with comments removed
+ */
+const parseJsonWithComments = (content) => {
+    let result = "";
+    let inString = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inString) {
+            result += char;
+            if (char === "\\") {
+                result += content[++i] || "";
+            } else if (char === "\"") {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === "\"") {
+            inString = true;
+            result += char;
+        } else if (char === "/" && content[i + 1] === "/") {
+            while (i < content.length && content[i] !== "\n") i++;
+            result += "\n";
+        } else if (char === "/" && content[i + 1] === "*") {
+            const end = content.indexOf("*/", i + 2);
+            // Keep line breaks so JSON error positions still point at the right line
+            result += content.slice(i, end === -1 ? content.length : end + 2).replace(/[^\n]/g, " ");
+            i = end === -1 ? content.length : end + 1;
+        } else {
+            result += char;
+        }
+    }
+
+    return JSON.parse(result.replace(/,(\s*[}\]])/g, "$1"));
+};
+
+/**
+ * Finds the file a tsconfig "extends" entry points to: a relative path, or a file in a package
+ * such as "@tsconfig/node20/tsconfig.json".
+ * @param {string} reference - The extends value
+ * @param {string} fromDir - The directory of the extending tsconfig
+ * @returns {string|null} The absolute path, or null if it can't be found
+ */
+const resolveExtendsPath = (reference, fromDir) => {
+    if (reference.startsWith(".") || path.isAbsolute(reference)) {
+        const resolved = path.resolve(fromDir, reference);
+        return [resolved, `${resolved}.json`].find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+    }
+
+    for (const request of [reference, `${reference}/tsconfig.json`]) {
+        try {
+            return require.resolve(request, { paths : [fromDir] });
+        } catch (e) {
+            // Try the next spelling
+        }
+    }
+    return null;
+};
+
+/**
+ * Reads the baseUrl, paths, verbatimModuleSyntax and JSX options of a tsconfig, following its extends chain. As in
+ * TypeScript, a setting from the extending file wins, baseUrl is relative to the file that sets it, and
+ * paths are relative to baseUrl, or to the file that sets them when there is no baseUrl.
+ * Parents that can't be found or read, and extends loops, are skipped.
+ * @param {string} configPath - The absolute tsconfig path
+ * @param {string[]} [visited] - Files already on the extends chain
+ * @returns {{baseUrl: ?string, paths: ?object, pathsBase: ?string, verbatimModuleSyntax: boolean, jsx: ?string,
+ *          jsxFactory: ?string, jsxFragmentFactory: ?string}|null} The absolute baseUrl, the paths and the directory
+ *          of the file that declared them, whether imports are kept as written, and how JSX is compiled, or null when
+ *          the file can't be read
+ */
+const readTsconfig = (configPath, visited = []) => {
+    if (tsconfigCache.has(configPath)) {
+        return tsconfigCache.get(configPath);
+    }
+    if (visited.includes(configPath)) {
+        return null;
+    }
+
+    let tsconfig;
+    try {
+        tsconfig = parseJsonWithComments(fs.readFileSync(configPath, "utf8")) || {};
+    } catch (e) {
+        tsconfigCache.set(configPath, null);
+        return null;
+    }
+
+    const directory = path.dirname(configPath);
+    const resolved = {
+        baseUrl              : null,
+        paths                : null,
+        pathsBase            : null,
+        verbatimModuleSyntax : false,
+        jsx                  : null,
+        jsxFactory           : null,
+        jsxFragmentFactory   : null,
+    };
+
+    // TypeScript 5 accepts an array of parents, applied in order
+    for (const reference of [].concat(tsconfig.extends || [])) {
+        const parentPath = typeof reference === "string" ? resolveExtendsPath(reference, directory) : null;
+        const parent = parentPath ? readTsconfig(parentPath, [...visited, configPath]) : null;
+        if (!parent) continue;
+        if (parent.baseUrl) {
+            resolved.baseUrl = parent.baseUrl;
+        }
+        if (parent.paths) {
+            resolved.paths = parent.paths;
+            resolved.pathsBase = parent.pathsBase;
+        }
+        if (parent.verbatimModuleSyntax) {
+            resolved.verbatimModuleSyntax = true;
+        }
+        for (const key of JSX_OPTIONS) {
+            if (parent[key]) {
+                resolved[key] = parent[key];
+            }
+        }
+    }
+
+    const compilerOptions = tsconfig.compilerOptions || {};
+    if (typeof compilerOptions.baseUrl === "string") {
+        resolved.baseUrl = path.resolve(directory, compilerOptions.baseUrl);
+    }
+    if (compilerOptions.paths && typeof compilerOptions.paths === "object") {
+        resolved.paths = compilerOptions.paths;
+        resolved.pathsBase = directory;
+    }
+    if (typeof compilerOptions.verbatimModuleSyntax === "boolean") {
+        resolved.verbatimModuleSyntax = compilerOptions.verbatimModuleSyntax;
+    }
+    for (const key of JSX_OPTIONS) {
+        if (typeof compilerOptions[key] === "string") {
+            resolved[key] = compilerOptions[key];
+        }
+    }
+
+    tsconfigCache.set(configPath, resolved);
+    return resolved;
+};
+
+/**
+ * Finds the nearest tsconfig.json or jsconfig.json above a directory.
+ * @param {string} startDir - The directory to start searching from
+ * @returns {string|null} The tsconfig path
+ */
+const findTsconfigPath = (startDir) => findUpwards(startDir, TSCONFIG_FILE_NAMES, tsconfigPathCache);
+
+/**
+ * Reads the path aliases of the tsconfig.json (or jsconfig.json) in a directory, including those
+ * of the tsconfigs it extends.
+ * @param {string} directory - The project directory
+ * @returns {{configPath: string, baseUrl: ?string, paths: object}|null} The aliases, or null without a readable tsconfig
+ */
+const readTsconfigPaths = (directory) => {
+    const configPath = TSCONFIG_FILE_NAMES
+        .map(fileName => path.join(directory, fileName))
+        .find(candidate => fs.existsSync(candidate));
+    const tsconfig = configPath ? readTsconfig(configPath) : null;
+    if (!tsconfig) {
+        return null;
+    }
+    return { configPath, baseUrl : tsconfig.baseUrl, paths : tsconfig.paths || {} };
+};
+
+/**
+ * Matches a module specifier against a tsconfig paths key, which may contain one "*".
+ * @param {string} specifier - The module specifier
+ * @param {string} pattern - The paths key, e.g. "@/*"
+ * @returns {string|null} The text the "*" stands for ("" for an exact key), or null if it doesn't match
+ */
+const matchPathsKey = (specifier, pattern) => {
+    const starIndex = pattern.indexOf("*");
+    if (starIndex === -1) {
+        return specifier === pattern ? "" : null;
+    }
+
+    const prefix = pattern.slice(0, starIndex);
+    const suffix = pattern.slice(starIndex + 1);
+    const fits = specifier.length >= prefix.length + suffix.length
+        && specifier.startsWith(prefix)
+        && specifier.endsWith(suffix);
+    return fits ? specifier.slice(prefix.length, specifier.length - suffix.length) : null;
+};
+
+/**
+ * Resolves an aliased module specifier with a tsconfig's paths, or with its baseUrl when a
+ * matching file or directory exists there. Like TypeScript, an exact key wins over patterns,
+ * and among patterns the one with the longest prefix wins; only the first target is used.
+ * @param {string} specifier - The module specifier
+ * @param {object} tsconfig - From readTsconfig
+ * @returns {string|null} The absolute path the specifier points to
+ */
+const resolveAlias = (specifier, tsconfig) => {
+    const paths = tsconfig.paths || {};
+    const candidates = Object.keys(paths)
+        .map(key => ({ key, wildcard : matchPathsKey(specifier, key) }))
+        .filter(({ key, wildcard }) => wildcard !== null && Array.isArray(paths[key]) && typeof paths[key][0] === "string")
+        .sort((a, b) => (b.key.includes("*") ? b.key.indexOf("*") : Infinity) - (a.key.includes("*") ? a.key.indexOf("*") : Infinity));
+
+    if (candidates.length > 0) {
+        const { key, wildcard } = candidates[0];
+        return path.resolve(tsconfig.baseUrl || tsconfig.pathsBase, paths[key][0].replace("*", wildcard));
+    }
+
+    if (tsconfig.baseUrl) {
+        const target = path.resolve(tsconfig.baseUrl, specifier);
+        // Without this check every package name would resolve into baseUrl
+        const exists = ["", ...RESOLVED_EXTENSIONS].some(extension => fs.existsSync(`${target}${extension}`));
+        return exists ? target : null;
+    }
+    return null;
+};
+
+/**
+ * Creates a function that turns the module specifiers of a file into project-relative paths,
+ * so that `@/components/Button`, `~hooks/useUser` and `../../components/x` can be grouped by
+ * where they point. The project is the directory of the nearest tsconfig.json or jsconfig.json,
+ * or of the nearest package.json without one. Only relative imports and tsconfig aliases resolve.
+ * @param {string} filePath - The file the imports belong to
+ * @returns {(specifier: string) => string|null} The resolver; it resolves nothing when the file has no project
+ */
+const createSpecifierResolver = (filePath) => {
+    const fileDir = path.dirname(path.resolve(filePath));
+    const configPath = findTsconfigPath(fileDir);
+    const projectFile = configPath || findUpwards(fileDir, "package.json", packageJsonPathCache);
+    if (!projectFile) {
+        return () => null;
+    }
+
+    const projectDir = path.dirname(projectFile);
+    const tsconfig = configPath ? readTsconfig(configPath) : null;
+    const toProjectPath = (absolutePath) => {
+        const relativePath = path.relative(projectDir, absolutePath);
+        if (!relativePath || relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+            return null;
+        }
+        return relativePath.split(path.sep).join("/");
+    };
+
+    return (specifier) => {
+        if (/^\.\.?(\/|$)/.test(specifier)) {
+            return toProjectPath(path.resolve(fileDir, specifier));
+        }
+        const target = tsconfig ? resolveAlias(specifier, tsconfig) : null;
+        return target ? toProjectPath(target) : null;
+    };
+};
+
+/**
+ * Checks whether the nearest tsconfig.json or jsconfig.json of a file enables verbatimModuleSyntax.
+ * @param {string} filePath - The file
+ * @returns {boolean}
+ */
+const usesVerbatimModuleSyntax = (filePath) => {
+    const configPath = findTsconfigPath(path.dirname(path.resolve(filePath)));
+    const tsconfig = configPath ? readTsconfig(configPath) : null;
+    return Boolean(tsconfig && tsconfig.verbatimModuleSyntax);
+};
+
+/**
+ * Reads how the nearest tsconfig.json or jsconfig.json of a file compiles JSX. "react-jsx" and "react-jsxdev"
+ * use the automatic runtime, which imports what it needs by itself; "react" uses the classic runtime, which
+ * calls jsxFactory (React.createElement by default). Other settings leave it to another tool, so the runtime is unknown.
+ * @param {string} filePath - The file
+ * @returns {{runtime: ?("classic"|"automatic"), factory: ?string, fragmentFactory: ?string}} The JSX options
+ */
+const readJsxOptions = (filePath) => {
+    const configPath = findTsconfigPath(path.dirname(path.resolve(filePath)));
+    const tsconfig = configPath ? readTsconfig(configPath) : null;
+    if (!tsconfig) {
+        return { runtime : null, factory : null, fragmentFactory : null };
+    }
+
+    let runtime = null;
+    if (tsconfig.jsx === "react-jsx" || tsconfig.jsx === "react-jsxdev") {
+        runtime = "automatic";
+    } else if (tsconfig.jsx === "react") {
+        runtime = "classic";
+    }
+    return { runtime, factory : tsconfig.jsxFactory, fragmentFactory : tsconfig.jsxFragmentFactory };
+};
+
+/**
+ * Forgets cached tsconfig locations and contents, e.g. after they were edited.
+ */
+const clearTsconfigCache = () => {
+    tsconfigCache.clear();
+    tsconfigPathCache.clear();
+    packageJsonPathCache.clear();
+};
+
+module.exports = {
+    parseJsonWithComments,
+    readTsconfig,
+    readTsconfigPaths,
+    findTsconfigPath,
+    createSpecifierResolver,
+    usesVerbatimModuleSyntax,
+    readJsxOptions,
+    clearTsconfigCache,
+    TSCONFIG_FILE_NAMES,
+};
\ No newline at end of file
@@ -0,0 +1,106 @@
+// An `import type` declaration, or an `export type` re-export. `import type from "x"` and
+// `import type, { a } from "x"` import a default named "type".
+const TYPE_IMPORT_PATTERN = /^(import|export)\s+type\s+(\{|\*|[\w$]+\s+from\b)/;
+
+/**
+ * Checks whether an import statement is an `import type` declaration, or a re-export is an `export type`.
+ * Statements whose names are all inline `type` specifiers don't count: under verbatimModuleSyntax they
+ * still load the module.
+ * @param {string} statement - The import statement, on one line
+ * @returns {boolean}
+ */
+const isTypeImport = (statement) => TYPE_IMPORT_PATTERN.test(statement);
+
+/**
+ * Moves inline `type` specifiers into `import type` declarations, e.g. `import { type A, b } from "x"`
+ * into `import type { A } from "x"` and `import { b } from "x"`.
+ * @param {object} node - An ImportDeclaration
+ * @param {Map<string, number>} loads - How many remaining declarations load each module at runtime
+ * @param {boolean} verbatimModuleSyntax - Whether TypeScript keeps imports exactly as written
+ * @returns {object[]} The declarations replacing the node
+ */
+const toTypeDeclarations = (node, loads, verbatimModuleSyntax) => {
+    const typeSpecifiers = node.specifiers.filter(specifier => specifier.importKind === "type");
+    if (node.importKind === "type" || typeSpecifiers.length === 0) {
+        return [node];
+    }
+
+    const typeDeclaration = {
+        ...node,
+        importKind : "type",
+        specifiers : typeSpecifiers.map(specifier => ({ ...specifier, importKind : null })),
+    };
+    const valueSpecifiers = node.specifiers.filter(specifier => specifier.importKind !== "type");
+    if (valueSpecifiers.length > 0) {
+        // The comments stay with the value import only
+        return [{ ...node, specifiers : valueSpecifiers }, { ...typeDeclaration, leadingComments : null, trailingComments : null }];
+    }
+
+    // `import { type A } from "x"` loads x under verbatimModuleSyntax, so keep it unless another import does
+    const source = node.source.value;
+    if (verbatimModuleSyntax && loads.get(source) <= 1) {
+        return [node];
+    }
+    loads.set(source, loads.get(source) - 1);
+    return [typeDeclaration];
+};
+
+/**
+ * Turns `import type { A } from "x"` into `import { type A } from "x"`. Default and namespace type
+ * imports can't be written inline, so they stay as they are.
+ * @param {object} node - An ImportDeclaration
+ * @param {Map<string, number>} loads - How many declarations load each module at runtime
+ * @param {boolean} verbatimModuleSyntax - Whether TypeScript keeps imports exactly as written
+ * @returns {object[]} The declarations replacing the node
+ */
+const toInlineDeclarations = (node, loads, verbatimModuleSyntax) => {
+    const namedOnly = node.specifiers.length > 0 && node.specifiers.every(specifier => specifier.type === "ImportSpecifier");
+    if (node.importKind !== "type" || !namedOnly) {
+        return [node];
+    }
+
+    // An inline-only import loads the module under verbatimModuleSyntax; that's only harmless when something else already does
+    if (verbatimModuleSyntax && !loads.get(node.source.value)) {
+        return [node];
+    }
+    return [{
+        ...node,
+        importKind : "value",
+        specifiers : node.specifiers.map(specifier => ({ ...specifier, importKind : "type" })),
+    }];
+};
+
+/**
+ * Converts type imports to the TYPE_IMPORT_STYLE of the config:
+ * - "keep" leaves them as written
+ * - "separate" moves inline `type` names into `import type` declarations
+ * - "inline" turns named `import type` declarations into inline `type` names
+ * Under verbatimModuleSyntax, TypeScript erases `import type` but keeps every other import, so a
+ * conversion that would add or remove the only runtime load of a module is skipped.
+ * @param {object[]} nodes - The ImportDeclarations of a file, in source order
+ * @param {object} options - Conversion options
+ * @param {string} options.style - The TYPE_IMPORT_STYLE setting
+ * @param {boolean} [options.verbatimModuleSyntax=false] - Whether the file's tsconfig enables verbatimModuleSyntax
+ * @returns {object[]} The converted declarations
+ */
+const convertTypeImports = (nodes, { style, verbatimModuleSyntax = false }) => {
+    if (style !== "separate" && style !== "inline") {
+        return nodes;
+    }
+
+    const loads = new Map(); // module -> declarations that load it at runtime
+    for (const node of nodes) {
+        if (node.importKind !== "type") {
+            loads.set(node.source.value, (loads.get(node.source.value) || 0) + 1);
+        }
+    }
+
+    return nodes.flatMap(node => (style === "separate"
+        ? toTypeDeclarations(node, loads, verbatimModuleSyntax)
+        : toInlineDeclarations(node, loads, verbatimModuleSyntax)));
+};
+
+module.exports = {
+    isTypeImport,
+    convertTypeImports,
+};
\ No newline at end of file
@@ -0,0 +1,185 @@
+const traverse = require("@babel/traverse").default;
+
+// File-level pragmas of the JSX transforms, e.g. /** @jsx h */ or /** @jsxRuntime automatic */
+const JSX_PRAGMAS = {
+    runtime         : /@jsxRuntime\s+(\S+)/,
+    importSource    : /@jsxImportSource\s+(\S+)/,
+    factory         : /@jsx\s+([\w$.]+)/,
+    fragmentFactory : /@jsxFrag\s+([\w$.]+)/,
+};
+
+// The names the classic JSX transform calls when nothing else is configured
+const DEFAULT_JSX_FACTORY = "React.createElement";
+const DEFAULT_JSX_FRAGMENT_FACTORY = "React.Fragment";
+
+/**
+ * Returns the name an entity name or member chain starts with, e.g. `React` for `React.createElement`.
+ * @param {?(object|string)} node - An Identifier, TSQualifiedName, MemberExpression, or a dotted name
+ * @returns {?string} The first name
+ */
+const getRootName = (node) => {
+    if (typeof node === "string") {
+        return node.split(/[.#]/)[0];
+    }
+    let current = node;
+    while (current && (current.type === "TSQualifiedName" || current.type === "MemberExpression")) {
+        current = current.type === "TSQualifiedName" ? current.left : current.object;
+    }
+    return current && current.type === "Identifier" ? current.name : null;
+};
+
+/**
+ * Reads the text between a `{` and its matching `}`.
+ * @param {string} text - The text
+ * @param {number} start - The index of the `{`
+ * @returns {string} The text inside the braces, up to the end if they are never closed
+ */
+const readBraces = (text, start) => {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === "{") depth++;
+        if (text[i] === "}" && --depth === 0) {
+            return text.slice(start + 1, i);
+        }
+    }
+    return text.slice(start + 1);
+};
+
+/**
+ * Collects what the JSDoc comments of a file refer to: names in {@link} tags, @see tags and type expressions
+ * such as `{Props}` or `{Array<Item>}`, and the exports named through `import("./module").Name` types.
+ * @param {object[]} comments - The comments of the file, from the AST
+ * @returns {{names: Set<string>, importTypes: Set<string>}} The names, and the "module\0export" pairs of import() types
+ */
+const collectJsdocReferences = (comments) => {
+    const names = new Set();
+    const importTypes = new Set();
+
+    for (const comment of comments) {
+        if (comment.type !== "CommentBlock" || !comment.value.startsWith("*")) continue;
+        const text = comment.value;
+
+        for (const match of text.matchAll(/import\(\s*["']([^"']+)["']\s*\)\.([\w$]+)/g)) {
+            importTypes.add(`${match[1]}\0${match[2]}`);
+        }
+        for (const match of text.matchAll(/(?:\{@link(?:code|plain)?|@see)\s+([\w$]+)/g)) {
+            names.add(match[1]);
+        }
+        for (let i = text.indexOf("{"); i !== -1; i = text.indexOf("{", i + 1)) {
+            if (text[i + 1] === "@") continue;
+            // Module paths and member names are not local names
+            const typeExpression = readBraces(text, i).replace(/(["'`])(?:(?!\1).)*\1/g, "\"\"");
+            for (const match of typeExpression.matchAll(/(^|[^.\w$])([A-Za-z_$][\w$]*)/g)) {
+                names.add(match[2]);
+            }
+        }
+    }
+    return { names, importTypes };
+};
+
+/**
+ * Works out which names the JSX of a file uses implicitly. The classic runtime calls its factory
+ * (React.createElement unless a @jsx pragma or the tsconfig says otherwise) and, for `<>`, its fragment
+ * factory, so their first names count as used; the automatic runtime imports what it needs by itself.
+ * When neither a @jsxRuntime pragma nor the tsconfig tells, the classic runtime is assumed, which keeps `React`.
+ * @param {object[]} comments - The comments of the file, from the AST
+ * @param {{hasElements: boolean, hasFragments: boolean}} usage - Whether the file has JSX elements and fragments
+ * @param {object} [jsxOptions] - From readJsxOptions
+ * @returns {string[]} The names the JSX uses
+ */
+const findJsxNames = (comments, { hasElements, hasFragments }, jsxOptions = {}) => {
+    if (!hasElements && !hasFragments) {
+        return [];
+    }
+
+    const pragmas = {};
+    for (const comment of comments) {
+        for (const [key, pattern] of Object.entries(JSX_PRAGMAS)) {
+            const match = comment.value.match(pattern);
+            if (match) {
+                pragmas[key] = match[1];
+            }
+        }
+    }
+
+    // @jsxImportSource only applies to the automatic runtime, and @jsx only to the classic one
+    let runtime = pragmas.runtime || jsxOptions.runtime;
+    if (!pragmas.runtime && (pragmas.importSource || pragmas.factory)) {
+        runtime = pragmas.importSource ? "automatic" : "classic";
+    }
+    if (runtime === "automatic") {
+        return [];
+    }
+
+    const names = [getRootName(pragmas.factory || jsxOptions.factory || DEFAULT_JSX_FACTORY)];
+    if (hasFragments) {
+        names.push(getRootName(pragmas.fragmentFactory || jsxOptions.fragmentFactory || DEFAULT_JSX_FRAGMENT_FACTORY));
+    }
+    return names;
+};
+
+/**
+ * Drops the import specifiers a file never uses, and the declarations left without any. Side-effect
+ * imports are never touched. A binding counts as used when scope analysis finds a reference to it, when a
+ * TypeScript type mentions it (Babel's scope doesn't track types), when the file's JSX calls it implicitly,
+ * and, with keepJsdocImports, when a JSDoc comment refers to it.
+ * @param {object} ast - The AST of the file
+ * @param {object[]} importNodes - The ImportDeclarations to clean up, in source order
+ * @param {object} [options] - Removal options
+ * @param {object} [options.jsxOptions] - How the file's tsconfig compiles JSX, see readJsxOptions
+ * @param {boolean} [options.keepJsdocImports=false] - Whether names used only in JSDoc keep their imports
+ * @returns {object[]} The declarations that are still needed
+ */
+const removeUnusedImports = (ast, importNodes, { jsxOptions, keepJsdocImports = false } = {}) => {
+    let programScope = null;
+    const typeNames = new Set();
+    const jsxUsage = { hasElements : false, hasFragments : false };
+
+    traverse(ast, {
+        Program(path) {
+            programScope = path.scope;
+        },
+        "TSTypeReference|TSTypeQuery|TSExpressionWithTypeArguments"(path) {
+            const { node } = path;
+            typeNames.add(getRootName(node.typeName || node.exprName || node.expression));
+        },
+        TSImportEqualsDeclaration(path) {
+            typeNames.add(getRootName(path.node.moduleReference));
+        },
+        JSXElement() {
+            jsxUsage.hasElements = true;
+        },
+        JSXFragment() {
+            jsxUsage.hasFragments = true;
+        },
+    });
+
+    const comments = ast.comments || [];
+    const jsxNames = new Set(findJsxNames(comments, jsxUsage, jsxOptions));
+    const jsdoc = keepJsdocImports ? collectJsdocReferences(comments) : { names : new Set(), importTypes : new Set() };
+
+    const isUsed = (specifier, node) => {
+        const name = specifier.local.name;
+        const binding = programScope.getBinding(name);
+        if (!binding || binding.referenced || typeNames.has(name) || jsxNames.has(name) || jsdoc.names.has(name)) {
+            return true;
+        }
+        const importedName = specifier.imported && (specifier.imported.name || specifier.imported.value);
+        return Boolean(importedName) && jsdoc.importTypes.has(`${node.source.value}\0${importedName}`);
+    };
+
+    return importNodes.flatMap(node => {
+        if (node.specifiers.length === 0) {
+            return [node];
+        }
+        const specifiers = node.specifiers.filter(specifier => isUsed(specifier, node));
+        if (specifiers.length === node.specifiers.length) {
+            return [node];
+        }
+        return specifiers.length > 0 ? [{ ...node, specifiers }] : [];
+    });
+};
+
+module.exports = {
+    removeUnusedImports,
+};
\ No newline at end of file
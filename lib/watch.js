@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const { IGNORED_DIRECTORIES, isSupportedFile } = require("./file-discovery");
+const { IGNORE_FILE_NAME } = require("./ignore-file");
+const { CONFIG_FILE_NAMES : SETTINGS_FILE_NAMES } = require("./config");
+const { TSCONFIG_FILE_NAMES } = require("./tsconfig");
+
+// Names of files that change how other files are formatted
+const CONFIG_FILE_NAMES = new Set([...SETTINGS_FILE_NAMES, IGNORE_FILE_NAME, ...TSCONFIG_FILE_NAMES]);
+
+/**
+ * Watches directory trees and reports settled changes to source and config files.
+ * Every directory gets its own non-recursive fs.watch, since recursive watching isn't available
+ * on every platform and Node version. New directories are picked up as they appear.
+ * @param {string[]} roots - Absolute paths of the directories to watch
+ * @param {object} handlers - Change handlers
+ * @param {(filePath: string) => void} handlers.onFileChange - Called when a supported source file changed
+ * @param {(filePath: string) => void} handlers.onConfigChange - Called when a config file changed or was removed
+ * @param {number} [handlers.debounceMs=100] - How long a file must be quiet before it is reported
+ * @param {string[]} [handlers.configFiles] - Config files outside the roots that should also be watched
+ * @param {boolean} [handlers.watchAncestors=false] - Also report config files created, changed or removed in the
+ *        directories above the roots, where config discovery looks too
+ * @returns {{close: () => void}} Stops all watchers
+ */
+const watchTree = (roots, { onFileChange, onConfigChange, debounceMs = 100, configFiles = [], watchAncestors = false }) => {
+    const directoryWatchers = new Map(); // directory -> fs.FSWatcher
+    const timers = new Map(); // file path -> pending debounce timer
+    const isConfigFile = (filePath) => CONFIG_FILE_NAMES.has(path.basename(filePath)) || configFiles.includes(filePath);
+
+    // Editors often save in bursts (truncate, write, rename), so wait until a file is quiet
+    const schedule = (filePath) => {
+        clearTimeout(timers.get(filePath));
+        timers.set(filePath, setTimeout(() => {
+            timers.delete(filePath);
+            if (isConfigFile(filePath)) {
+                onConfigChange(filePath);
+                return;
+            }
+            if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+                onFileChange(filePath);
+            }
+        }, debounceMs));
+    };
+
+    const unwatchDirectory = (directory) => {
+        const watcher = directoryWatchers.get(directory);
+        if (watcher) {
+            watcher.close();
+            directoryWatchers.delete(directory);
+        }
+    };
+
+    const watchDirectory = (directory) => {
+        if (directoryWatchers.has(directory) || IGNORED_DIRECTORIES.has(path.basename(directory))) {
+            return;
+        }
+
+        let watcher;
+        try {
+            watcher = fs.watch(directory, (eventType, fileName) => {
+                if (!fileName) return;
+                const changedPath = path.join(directory, fileName.toString());
+
+                if (fs.existsSync(changedPath) && fs.statSync(changedPath).isDirectory()) {
+                    watchDirectory(changedPath);
+                    return;
+                }
+                if (isConfigFile(changedPath) || isSupportedFile(changedPath)) {
+                    schedule(changedPath);
+                }
+            });
+        } catch (error) {
+            // The directory vanished or can't be read; nothing to watch
+            return;
+        }
+
+        // Removing a watched directory errors its watcher on some platforms
+        watcher.on("error", () => unwatchDirectory(directory));
+        directoryWatchers.set(directory, watcher);
+
+        try {
+            for (const entry of fs.readdirSync(directory, { withFileTypes : true })) {
+                if (entry.isDirectory()) {
+                    watchDirectory(path.join(directory, entry.name));
+                }
+            }
+        } catch (error) {
+            unwatchDirectory(directory);
+        }
+    };
+
+    roots.forEach(watchDirectory);
+
+    // Only config files matter above the roots, so each directory up to the filesystem root gets a shallow watch.
+    // This picks up a .seriseirc created in a parent directory after the watch started.
+    const ancestorWatchers = [];
+    const watchConfigDirectory = (directory) => {
+        if (directoryWatchers.has(directory)) return;
+        try {
+            const watcher = fs.watch(directory, (eventType, fileName) => {
+                if (fileName && CONFIG_FILE_NAMES.has(fileName.toString())) {
+                    schedule(path.join(directory, fileName.toString()));
+                }
+            });
+            watcher.on("error", () => watcher.close());
+            ancestorWatchers.push(watcher);
+        } catch (error) {
+            // Not readable, e.g. a parent we have no permission for; config discovery can't use it either
+        }
+    };
+    if (watchAncestors) {
+        const ancestors = new Set();
+        for (const root of roots) {
+            for (let directory = path.dirname(root); !ancestors.has(directory); directory = path.dirname(directory)) {
+                ancestors.add(directory);
+            }
+        }
+        ancestors.forEach(watchConfigDirectory);
+    }
+
+    // Config files above the roots are polled, which survives editors replacing the file on save
+    const polledFiles = configFiles.filter(file => !roots.some(root => !path.relative(root, file).startsWith("..")));
+    for (const file of polledFiles) {
+        fs.watchFile(file, { interval : 500 }, () => schedule(file));
+    }
+
+    return {
+        close : () => {
+            [...directoryWatchers.keys()].forEach(unwatchDirectory);
+            ancestorWatchers.forEach(watcher => watcher.close());
+            polledFiles.forEach(file => fs.unwatchFile(file));
+            timers.forEach(timer => clearTimeout(timer));
+            timers.clear();
+        },
+    };
+};
+
+module.exports = {
+    watchTree,
+};
\ No newline at end of file
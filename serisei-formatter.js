@@ -1,201 +1,557 @@
 #!/usr/bin/env node
 
 const fs = require("fs");
+const path = require("path");
 
 // Import all our modules
-const { loadConfig } = require("./lib/config");
-const { detectIndentStyle } = require("./lib/indent");
-const { extractImports, extractInterfaceBlocks } = require("./lib/ast-parser");
-const { groupAndFormatImports } = require("./lib/import-formatter");
-const { formatInterfaceBlocks } = require("./lib/interface-formatter");
+const { format, ParseError } = require("./lib/format");
 const { writeFileAtomic } = require("./lib/file-utils");
+const { expandTargets, isSupportedFile } = require("./lib/file-discovery");
+const { parseArgs, parseRange } = require("./lib/cli-args");
+const { createUnifiedDiff, colorizeDiff, shouldUseColor } = require("./lib/diff");
+const { startLspServer } = require("./lib/lsp-server");
+const { watchTree } = require("./lib/watch");
+const { findConfigPath, clearConfigCache } = require("./lib/config");
+const { isIgnoredFile, clearIgnoreCache, IGNORE_FILE_NAME } = require("./lib/ignore-file");
+const { validateConfigFile, formatDiagnostic } = require("./lib/config-validator");
+const { proposeGroups, renderConfig, renderPreview } = require("./lib/init");
+const { explainConfig } = require("./lib/config-sources");
+const { clearTsconfigCache } = require("./lib/tsconfig");
+const { clearProjectPackagesCache } = require("./lib/project-packages");
+const {
+    getStagedFiles,
+    getChangedFilesSince,
+    hasUnstagedChanges,
+    readIndexFile,
+    writeIndexFile,
+    stageFile,
+} = require("./lib/git");
+
+// How often a busy/locked file is retried before giving up
+const MAX_WRITE_RETRIES = 10;
+
+// Process exit codes. Failures get their own code so CI can tell them apart from unformatted files.
+const EXIT_CODES = {
+    OK      : 0,
+    CHANGED : 1, // --check found files that would be formatted
+    ERROR   : 2, // bad usage, missing files, parse or I/O failures
+};
+
+// Where processFile reads and writes file contents: the working tree, or the git index for --staged
+const DISK_IO = {
+    read  : (filePath) => fs.readFileSync(filePath, "utf8"),
+    write : writeFileAtomic,
+};
+const INDEX_IO = {
+    read  : readIndexFile,
+    write : writeIndexFile,
+};
 
 /**
  * Read the file, apply formatting, and write back if changed.
- * This version uses the AST to remove all imports and re-insert a formatted block at the top.
  * @param {string} filePath The path of the file to process.
+ * @param {object} options CLI options.
+ * @param {boolean} [options.check] Only report whether the file would change, never write it.
+ * @param {boolean} [options.diff] Print a unified diff of the changes instead of writing them.
+ * @param {{start: number, end: number}} [options.range] Only format within these lines.
+ * @param {string} [options.configFile] Use this config file instead of searching for one.
+ * @param {{read: Function, write: Function}} io Where to read the contents from and write them back to.
+ * @param {number} attempt The retry attempt, used when the file is busy.
+ * @returns {Promise<"formatted"|"unchanged"|"skipped"|"failed">} What happened (or, with check, would happen) to the file.
  */
-const processFile = (filePath) => {
+const processFile = async (filePath, options = {}, io = DISK_IO, attempt = 0) => {
     try {
-        const config = loadConfig(filePath);
-        const originalCode = fs.readFileSync(filePath, "utf8");
-
-        // Detect existing indentation style and update config if needed
-        const detectedIndent = detectIndentStyle(originalCode);
-        const workingConfig = { ...config };
-
-        // Use detected style if config uses defaults, otherwise respect explicit config
-        if (config.INDENT_TYPE === "spaces" && config.INDENT_SIZE === 4) {
-            // Using defaults, so adopt detected style
-            workingConfig.INDENT_TYPE = detectedIndent.type;
-            workingConfig.INDENT_SIZE = detectedIndent.size;
-        }
-        const lines = originalCode.split("\n");
-
-        // Step 1: Extract imports and get the set of lines to remove
-        const { importStatements, linesToRemove : importLinesToRemove } = extractImports(originalCode, workingConfig);
-
-        // Track the last import line for later use
-        let lastImportLine = -1;
-        if (importStatements.length > 0) {
-            // Find the highest line number in importLinesToRemove
-            for (const lineNum of importLinesToRemove) {
-                if (lineNum > lastImportLine) {
-                    lastImportLine = lineNum;
-                }
-            }
+        const originalCode = io.read(filePath);
+        const displayPath = path.relative(process.cwd(), filePath);
+        const { code : newCode, changed, skipped } = format(originalCode, {
+            filePath,
+            range      : options.range,
+            configFile : options.configFile,
+        });
+
+        if (skipped) {
+            return "skipped";
+        }
+        if (!changed) {
+            return "unchanged";
         }
 
-        // Step 2: Extract interface/type blocks and get their lines to remove
-        const { interfaceBlocks, linesToRemove : interfaceLinesToRemove } = extractInterfaceBlocks(originalCode);
+        if (options.diff) {
+            const diff = createUnifiedDiff(originalCode, newCode, { fileName : displayPath.split(path.sep).join("/") });
+            process.stdout.write(shouldUseColor(process.stdout) ? colorizeDiff(diff) : diff);
+        } else if (options.check) {
+            console.log(displayPath);
+        }
 
-        // Combine all lines to remove (imports + interfaces)
-        const allLinesToRemove = new Set([...importLinesToRemove, ...interfaceLinesToRemove]);
+        // Dry runs stop here, without touching the file
+        if (options.check || options.diff) {
+            return "formatted";
+        }
 
-        // If we failed to parse the file (both imports and interfaces are empty but file has content),
-        // don't proceed as it might wipe the file
-        if (importStatements.length === 0 && interfaceBlocks.length === 0 && allLinesToRemove.size === 0) {
-            const hasContent = lines.some(line => line.trim() && !line.trim().startsWith("//"));
-            if (hasContent) {
-                // File has content but nothing was extracted - likely a parse error
-                // Don't format to avoid wiping the file
-                return;
-            }
+        io.write(filePath, newCode);
+        console.log(`Formatted ${displayPath}`);
+        return "formatted";
+    } catch (error) {
+        // A file we can't parse is a failure, not something that "needs formatting"
+        if (error instanceof ParseError) {
+            console.error(`Failed to parse ${path.relative(process.cwd(), filePath)}: ${error.message}`);
+            return "failed";
         }
+        if ((error.code === "EBUSY" || error.code === "EPERM") && attempt < MAX_WRITE_RETRIES) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            return processFile(filePath, options, io, attempt + 1);
+        }
+        console.error(`Error processing ${filePath}:`, error);
+        return "failed";
+    }
+};
 
-        // Step 3: Get the formatted import block
-        const newImportLines = importStatements.length > 0 ? groupAndFormatImports(importStatements, workingConfig) : [];
+/**
+ * Reads everything piped to stdin.
+ * @returns {Promise<string>} The stdin contents
+ */
+const readStdin = () => new Promise((resolve, reject) => {
+    let data = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", chunk => {
+        data += chunk;
+    });
+    process.stdin.on("end", () => resolve(data));
+    process.stdin.on("error", reject);
+});
 
-        // Step 4: Get the formatted interface blocks
-        const formattedInterfaceBlocks = interfaceBlocks.length > 0 ? formatInterfaceBlocks(interfaceBlocks, lines, workingConfig) : [];
+/**
+ * Validates config files, and the configs they extend, and prints their problems to stderr.
+ * @param {string[]} configPaths - Absolute paths of the config files
+ * @returns {{errors: number, warnings: number}} How many problems were found
+ */
+const reportConfigProblems = (configPaths) => {
+    const totals = { errors : 0, warnings : 0 };
+    const reported = new Set(); // configs that extend the same file would report its problems again
+
+    for (const configPath of configPaths) {
+        for (const diagnostic of validateConfigFile(configPath)) {
+            const line = formatDiagnostic(diagnostic, path.relative(process.cwd(), diagnostic.file));
+            if (reported.has(line)) continue;
+            reported.add(line);
+            console.error(line);
+            totals[diagnostic.severity === "error" ? "errors" : "warnings"]++;
+        }
+    }
 
-        // Step 5: Reconstruct the file
-        const finalLines = [];
+    return totals;
+};
 
-        // Find the end of the file header (comments/empty lines/directives at the top)
-        let headerEndIndex = 0;
-        let foundFirstImport = false;
-        let foundFirstInterface = false;
+/**
+ * Reports problems in the config files that apply to a run. With --strict, any problem stops the run.
+ * @param {string[]} configPaths - Absolute paths of the config files in use
+ * @param {object} options - CLI options
+ * @returns {boolean} Whether the run may go ahead
+ */
+const checkConfigs = (configPaths, options) => {
+    const { errors, warnings } = reportConfigProblems(configPaths);
+    if (options.strict && errors + warnings > 0) {
+        console.error("Not formatting because of the config problems above (--strict).");
+        return false;
+    }
+    return true;
+};
 
-        for (let i = 0; i < lines.length; i++) {
-            const trimmedLine = lines[i].trim();
+/**
+ * Lists the config files used for some files: the --config file, or the nearest config of each.
+ * @param {string[]} files - Absolute paths of the files being formatted
+ * @param {object} options - CLI options
+ * @returns {string[]} Absolute paths of the config files, without duplicates
+ */
+const getConfigPaths = (files, options) => {
+    if (options.configFile) {
+        return [options.configFile];
+    }
+    return [...new Set(files.map(file => findConfigPath(path.dirname(file))).filter(Boolean))];
+};
 
-            // Check if this is an import line
-            if (allLinesToRemove.has(i) && trimmedLine.startsWith("import")) {
-                foundFirstImport = true;
-                break;
-            }
+/**
+ * Formats code read from stdin and writes the result to stdout, for editor format-on-save.
+ * Nothing is written to stdout on failure, so the editor buffer is never replaced with partial output.
+ * @param {string} [stdinFilepath] The path the buffer belongs to, used only for config discovery and parser choice.
+ * @param {object} [options] CLI options.
+ * @param {{start: number, end: number}} [options.range] Only format within these lines.
+ * @param {string} [options.configFile] Use this config file instead of searching for one.
+ * @param {boolean} [options.strict] Fail without output if the config has problems.
+ * @returns {Promise<number>} The process exit code
+ */
+const runStdin = async (stdinFilepath, options = {}) => {
+    const { range, configFile } = options;
+    const filePath = path.resolve(stdinFilepath || "stdin");
 
-            // Check if this is an interface/type line
-            if (interfaceLinesToRemove.has(i)) {
-                foundFirstInterface = true;
-                break;
-            }
+    if (!checkConfigs(getConfigPaths([filePath], options), options)) {
+        return EXIT_CODES.ERROR;
+    }
 
-            // Check if this is a directive (string literal at the top level)
-            const isDirective = /^["']use (client|server|strict)["'];?$/.test(trimmedLine);
+    try {
+        const originalCode = await readStdin();
 
-            // Check if this is a generated header (should be removed)
-            const headerRegex = new RegExp(`^\\s*//.*\\s[${workingConfig.HEADER_CHAR}]{3,}`);
-            const isGeneratedHeader = headerRegex.test(trimmedLine);
+        // Echo ignored files back unchanged, so editors can format on save unconditionally
+        if (stdinFilepath && isIgnoredFile(filePath)) {
+            process.stdout.write(originalCode);
+            return EXIT_CODES.OK;
+        }
 
-            // Skip generated headers - they'll be recreated
-            if (isGeneratedHeader) {
-                continue;
-            }
+        process.stdout.write(format(originalCode, { filePath, range, configFile }).code);
+        return EXIT_CODES.OK;
+    } catch (error) {
+        if (error instanceof ParseError) {
+            console.error(`Failed to parse ${stdinFilepath || "stdin"}: ${error.message}`);
+            return EXIT_CODES.ERROR;
+        }
+        console.error(`Error processing ${stdinFilepath || "stdin"}:`, error);
+        return EXIT_CODES.ERROR;
+    }
+};
 
-            // Stop at the first import or first non-comment/non-directive code
-            if (trimmedLine !== "" && !trimmedLine.startsWith("//") && !trimmedLine.startsWith("/*") && !isDirective) {
-                break;
+/**
+ * Watches directories and formats files as they are saved, until interrupted.
+ * @param {string[]} targets - The directories to watch
+ * @param {object} options - CLI options, passed on to processFile
+ * @returns {Promise<number>} The process exit code
+ */
+const runWatch = (targets, options) => {
+    const roots = targets.map(target => path.resolve(target));
+    const invalid = roots.filter(root => !fs.existsSync(root) || !fs.statSync(root).isDirectory());
+    if (invalid.length > 0) {
+        invalid.forEach(root => console.error(`Not a directory: ${path.relative(process.cwd(), root)}`));
+        return Promise.resolve(EXIT_CODES.ERROR);
+    }
+
+    // The content serisei last wrote to each file, so its own writes don't trigger another pass
+    const lastWritten = new Map();
+
+    const onFileChange = async (filePath) => {
+        if (isIgnoredFile(filePath)) {
+            return;
+        }
+
+        try {
+            if (lastWritten.get(filePath) === fs.readFileSync(filePath, "utf8")) {
+                return;
             }
+        } catch (error) {
+            return; // Deleted before we got to it
+        }
+        lastWritten.delete(filePath);
 
-            finalLines.push(lines[i]);
-            headerEndIndex = i + 1;
+        if (await processFile(filePath, options) === "formatted" && !options.check && !options.diff) {
+            lastWritten.set(filePath, fs.readFileSync(filePath, "utf8"));
+        }
+    };
+
+    const onConfigChange = (configPath) => {
+        clearConfigCache();
+        clearIgnoreCache();
+        clearTsconfigCache();
+        clearProjectPackagesCache();
+        console.log(`Reloaded configuration (${path.relative(process.cwd(), configPath)} changed)`);
+        // Only check files that are actually used, e.g. not a package.json without a "serisei" key
+        const inUse = options.configFile
+            ? configPath === options.configFile
+            : findConfigPath(path.dirname(configPath)) === configPath;
+        if (path.basename(configPath) !== IGNORE_FILE_NAME && inUse) {
+            reportConfigProblems([configPath]);
         }
+    };
+
+    const configFiles = options.configFile
+        ? [options.configFile]
+        : roots.map(root => findConfigPath(root)).filter(Boolean);
+    if (!checkConfigs(configFiles, options)) {
+        return Promise.resolve(EXIT_CODES.ERROR);
+    }
+    // Without --config, a config file created above the roots later changes which config applies
+    const watcher = watchTree(roots, { onFileChange, onConfigChange, configFiles, watchAncestors : !options.configFile });
+    console.log(`Watching ${targets.join(", ")} for changes. Press Ctrl+C to stop.`);
+
+    return new Promise((resolve) => {
+        process.once("SIGINT", () => {
+            watcher.close();
+            resolve(EXIT_CODES.OK);
+        });
+    });
+};
 
-        // Inject the new import block
-        if (newImportLines.length > 0) {
-            // If the header already ends with a blank line, don't add another.
-            if (finalLines.length > 0 && finalLines[finalLines.length - 1].trim() !== "") {
-                finalLines.push("");
+/**
+ * Formats the staged version of every staged JS/TS file and re-stages it.
+ * Partially staged files only have their index version formatted, so unstaged work is never touched.
+ * @param {string[]} files - Absolute paths of the staged files to format
+ * @param {object} options - CLI options, passed on to processFile
+ * @returns {Promise<string[]>} The status of every file
+ */
+const processStagedFiles = async (files, options) => {
+    const statuses = [];
+
+    for (const file of files) {
+        // Dry runs look at exactly what would be committed
+        if (options.check || options.diff || hasUnstagedChanges(file)) {
+            const status = await processFile(file, options, INDEX_IO);
+            if (status === "formatted" && !options.check && !options.diff) {
+                console.log("  (staged version only; unstaged changes were left as they are)");
             }
-            finalLines.push(...newImportLines);
-        }
-
-        // Check if there is subsequent code to add a separator line
-        // Skip comments and empty lines when determining if there's subsequent code
-        let hasSubsequentCode = false;
-        for (let i = headerEndIndex; i < lines.length; i++) {
-            if (!allLinesToRemove.has(i)) {
-                const line = lines[i].trim();
-                if (line !== "" && !line.startsWith("//") && !line.startsWith("/*")) {
-                    hasSubsequentCode = true;
-                    break;
-                }
+            statuses.push(status);
+            continue;
+        }
+
+        const status = await processFile(file, options);
+        if (status === "formatted") {
+            stageFile(file);
+        }
+        statuses.push(status);
+    }
+
+    return statuses;
+};
+
+/**
+ * Checks config files for `serisei config validate [paths...]`. Paths can be config files, or
+ * directories to find the nearest config from; without any, the config for the current directory is checked.
+ * @param {string[]} paths - The paths given after "config validate"
+ * @param {object} options - CLI options
+ * @returns {number} The process exit code: an error when there are errors, or warnings with --strict
+ */
+const runConfigValidate = (paths, options) => {
+    const lookups = options.configFile ? [options.configFile] : (paths.length > 0 ? paths : ["."]);
+    const configPaths = [];
+    let missingCount = 0;
+
+    for (const lookup of lookups) {
+        const resolved = path.resolve(lookup);
+        if (!fs.existsSync(resolved)) {
+            console.error(`File not found: ${lookup}`);
+            missingCount++;
+        } else if (!fs.statSync(resolved).isDirectory()) {
+            configPaths.push(resolved);
+        } else {
+            const configPath = findConfigPath(resolved);
+            if (configPath) {
+                configPaths.push(configPath);
+            } else {
+                console.log(`No config file found for ${lookup}; the defaults are used.`);
             }
         }
+    }
 
-        if (newImportLines.length > 0 && hasSubsequentCode) {
-            finalLines.push("");
+    let totals = { errors : 0, warnings : 0 };
+    for (const configPath of new Set(configPaths)) {
+        const { errors, warnings } = reportConfigProblems([configPath]);
+        if (errors + warnings === 0) {
+            console.log(`${path.relative(process.cwd(), configPath)}: no problems found`);
         }
+        totals = { errors : totals.errors + errors, warnings : totals.warnings + warnings };
+    }
 
-        // Create a map of interface block start lines to their formatted versions
-        const interfaceBlockMap = new Map();
-        for (const block of formattedInterfaceBlocks) {
-            interfaceBlockMap.set(block.startLine, block);
+    if (missingCount > 0 || totals.errors > 0 || (options.strict && totals.warnings > 0)) {
+        return EXIT_CODES.ERROR;
+    }
+    return EXIT_CODES.OK;
+};
+
+/**
+ * Proposes a .seriseirc for a project for `serisei init [directory]`, prints it with a preview
+ * of how the current imports would be grouped, and writes it.
+ * @param {string[]} paths - The paths given after "init": at most one project directory
+ * @param {object} options - CLI options
+ * @param {boolean} [options.dryRun] Only print the proposal.
+ * @param {boolean} [options.force] Overwrite an existing .seriseirc.
+ * @returns {number} The process exit code
+ */
+const runInit = (paths, options) => {
+    if (paths.length > 1) {
+        console.error("serisei init takes at most one project directory.");
+        return EXIT_CODES.ERROR;
+    }
+
+    const directory = path.resolve(paths[0] || ".");
+    if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+        console.error(`Not a directory: ${paths[0]}`);
+        return EXIT_CODES.ERROR;
+    }
+
+    const configPath = path.join(directory, ".seriseirc");
+    const displayPath = path.relative(process.cwd(), configPath);
+    if (fs.existsSync(configPath) && !options.force && !options.dryRun) {
+        console.error(`${displayPath} already exists. Use --force to replace it, or --dry-run to only see the proposal.`);
+        return EXIT_CODES.ERROR;
+    }
+
+    const proposal = proposeGroups(directory);
+    const content = renderConfig(proposal.groups);
+
+    console.log(content);
+    console.log(renderPreview(proposal));
+
+    if (!options.dryRun) {
+        writeFileAtomic(configPath, content);
+        console.log(`\nWrote ${displayPath}`);
+    }
+    return EXIT_CODES.OK;
+};
+
+/**
+ * Builds the end-of-run summary line, e.g. "3 formatted, 10 unchanged, 1 skipped, 0 failed".
+ * @param {{formatted: number, unchanged: number, skipped: number, failed: number}} counts - Per-status file counts
+ * @param {boolean} dryRun - Whether this was a --check or --diff run (nothing was written)
+ * @returns {string} The summary line
+ */
+const formatSummary = (counts, dryRun) => {
+    const total = counts.formatted + counts.unchanged + counts.skipped + counts.failed;
+    const formattedLabel = dryRun ? "would be formatted" : "formatted";
+    return `${total} ${total === 1 ? "file" : "files"}: ${counts.formatted} ${formattedLabel}, `
+        + `${counts.unchanged} unchanged, ${counts.skipped} skipped, ${counts.failed} failed`;
+};
+
+/**
+ * Expands the targets given on the command line and formats every file, one after the other.
+ * @param {string[]} argv - The command-line arguments
+ * @returns {Promise<number>} The process exit code
+ */
+const run = async (argv) => {
+    const { options, targets, errors } = parseArgs(argv);
+
+    for (const error of errors) {
+        console.error(error);
+    }
+    if (errors.length > 0) {
+        return EXIT_CODES.ERROR;
+    }
+
+    if (options.range !== undefined) {
+        options.range = parseRange(options.range);
+        if (!options.range) {
+            console.error("--range expects 1-based, inclusive lines as start:end, e.g. --range 120:180");
+            return EXIT_CODES.ERROR;
         }
+    }
 
-        // Process the rest of the file, inserting formatted interface blocks at their original positions
-        let i = headerEndIndex;
-        while (i < lines.length) {
-            // Check if this line is the start of a formatted interface block
-            if (interfaceBlockMap.has(i)) {
-                const block = interfaceBlockMap.get(i);
-                finalLines.push(...block.formattedLines);
-                // Skip to the end of the original block
-                i = block.endLine + 1;
-                continue;
-            }
+    if (options.configFile !== undefined) {
+        options.configFile = path.resolve(options.configFile);
+        if (!fs.existsSync(options.configFile)) {
+            console.error(`Config file not found: ${path.relative(process.cwd(), options.configFile)}`);
+            return EXIT_CODES.ERROR;
+        }
+    }
 
-            // If this line should be removed (import or interface content), skip it
-            if (allLinesToRemove.has(i)) {
-                i++;
-                continue;
-            }
+    if (targets[0] === "config" && targets[1] === "validate") {
+        return runConfigValidate(targets.slice(2), options);
+    }
+
+    if (targets[0] === "init") {
+        return runInit(targets.slice(1), options);
+    }
+
+    if (options.printConfig !== undefined) {
+        console.log(JSON.stringify(explainConfig(options.printConfig, { configFile : options.configFile }), null, 4));
+        return EXIT_CODES.OK;
+    }
+
+    if (options.lsp) {
+        // stdin stays open while the server runs, so exit explicitly once the client is done
+        process.exit(await startLspServer({ configFile : options.configFile }));
+    }
 
-            // Generated headers are now handled by the AST parser's linesToRemove set
-            // No additional logic needed here
+    if (options.stdinFilepath && !options.stdin) {
+        console.error("--stdin-filepath can only be used together with --stdin.");
+        return EXIT_CODES.ERROR;
+    }
 
-            // For all other lines, just add them as-is
-            finalLines.push(lines[i]);
-            i++;
+    if (options.stdin) {
+        if (targets.length > 0) {
+            console.error("File paths cannot be combined with --stdin.");
+            return EXIT_CODES.ERROR;
         }
+        return runStdin(options.stdinFilepath, options);
+    }
+
+    const fromGit = options.staged || options.changedSince !== undefined;
+    if (options.staged && options.changedSince !== undefined) {
+        console.error("--staged and --changed-since cannot be used together.");
+        return EXIT_CODES.ERROR;
+    }
 
-        const newCode = finalLines.join("\n");
+    if (targets.length === 0 && (!fromGit || options.watch)) {
+        console.error("Please provide a file path to format.");
+        return EXIT_CODES.ERROR;
+    }
+
+    if (options.watch) {
+        return runWatch(targets, options);
+    }
 
-        if (newCode !== originalCode) {
-            writeFileAtomic(filePath, newCode);
-            console.log(`Formatted ${filePath}`);
+    const { files : targetFiles, missing, empty } = expandTargets(targets);
+    let files = targetFiles;
+
+    // Git modes format the files git reports, limited to the given targets if there are any
+    if (fromGit) {
+        let gitFiles;
+        try {
+            gitFiles = options.staged ? getStagedFiles() : getChangedFilesSince(options.changedSince);
+        } catch (error) {
+            console.error(`git: ${error.message}`);
+            return EXIT_CODES.ERROR;
         }
-    } catch (error) {
-        if (error.code === "EBUSY" || error.code === "EPERM") {
-            setTimeout(() => processFile(filePath), 100);
-        } else {
-            console.error(`Error processing ${filePath}:`, error);
+        files = gitFiles
+            .filter(file => isSupportedFile(file) && fs.existsSync(file))
+            .filter(file => targets.length === 0 || targetFiles.includes(file))
+            .sort();
+    }
+
+    // Files excluded by a .seriseiignore are left out entirely, like node_modules
+    files = files.filter(file => !isIgnoredFile(file));
+
+    // Line numbers only mean something for a single file
+    if (options.range && files.length > 1) {
+        console.error("--range can only be used with a single file.");
+        return EXIT_CODES.ERROR;
+    }
+
+    if (!checkConfigs(getConfigPaths(files, options), options)) {
+        return EXIT_CODES.ERROR;
+    }
+
+    const counts = { formatted : 0, unchanged : 0, skipped : 0, failed : missing.length };
+
+    for (const target of missing) {
+        console.error(`File not found: ${target}`);
+    }
+    for (const pattern of empty) {
+        console.warn(`No files matched: ${pattern}`);
+    }
+
+    if (options.staged) {
+        const statuses = await processStagedFiles(files, options);
+        statuses.forEach(status => counts[status]++);
+    } else {
+        for (const file of files) {
+            const status = await processFile(file, options);
+            counts[status]++;
         }
     }
+
+    // Dry runs print file lists or diffs to stdout, so keep the summary off it
+    const dryRun = Boolean(options.check || options.diff);
+    const log = dryRun ? console.error : console.log;
+    log(formatSummary(counts, dryRun));
+
+    if (counts.failed > 0) {
+        return EXIT_CODES.ERROR;
+    }
+    if (options.check && counts.formatted > 0) {
+        return EXIT_CODES.CHANGED;
+    }
+    return EXIT_CODES.OK;
 };
 
 // Main execution
-const filePath = process.argv[2];
-if (!filePath) {
-    console.error("Please provide a file path to format.");
-    process.exit(1);
-}
-
-if (!fs.existsSync(filePath)) {
-    console.error(`File not found: ${filePath}`);
-    process.exit(1);
-}
-
-processFile(filePath);
\ No newline at end of file
+run(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+}).catch((error) => {
+    console.error(error.message);
+    process.exitCode = EXIT_CODES.ERROR;
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+const assert = require("assert");
+const path = require("path");
+const { test } = require("node:test");
+const { validateConfigFile, formatDiagnostic } = require("../lib/config-validator");
+const { withFiles } = require("./helpers");
+
+const describe = (diagnostics, dir) => diagnostics.map(diagnostic => formatDiagnostic(diagnostic, path.relative(dir, diagnostic.file)));
+
+test("configs reached through extends are validated with their own file and line", withFiles({
+    ".seriseirc"              : "TO_COLUMN_WIDTH = 120\nTO_COLUM_WIDTH = 3\n",
+    "packages/web/.seriseirc" : "extends = ../../.seriseirc\nINDENT_TYPE = tab\n",
+}, (dir) => {
+    assert.deepStrictEqual(describe(validateConfigFile(path.join(dir, "packages/web/.seriseirc")), dir), [
+        "packages/web/.seriseirc:2:15: error: Invalid value \"tab\" for INDENT_TYPE: expected \"spaces\" or \"tabs\". Did you mean \"tabs\"?",
+        ".seriseirc:2:1: error: Unknown setting TO_COLUM_WIDTH. Did you mean TO_COLUMN_WIDTH?",
+    ]);
+}));
+
+test("unreadable configs in the chain are reported in the file that breaks", withFiles({
+    "base.json"  : "{ \"TO_COLUMN_WIDTH\": 120, }",
+    ".seriseirc" : "extends = base.json\n",
+}, (dir) => {
+    const [diagnostic, ...rest] = validateConfigFile(path.join(dir, ".seriseirc"));
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(diagnostic.file, path.join(dir, "base.json"));
+    assert.strictEqual(diagnostic.severity, "error");
+    assert.match(diagnostic.message, /^Invalid JSON/);
+}));
+
+test("missing parents and extends loops are reported on the extends line", withFiles({
+    "a/.seriseirc" : "INDENT_SIZE = 4\nextends = ../b/.seriseirc\n",
+    "b/.seriseirc" : "extends = ../a/.seriseirc\n",
+    "c/.seriseirc" : "extends = ../missing/.seriseirc\n",
+}, (dir) => {
+    const loop = validateConfigFile(path.join(dir, "a/.seriseirc"));
+    assert.strictEqual(loop.length, 1);
+    assert.strictEqual(loop[0].file, path.join(dir, "b/.seriseirc"));
+    assert.deepStrictEqual(loop[0].location, { line : 1, column : 11 });
+    assert.match(loop[0].message, /^Config files extend each other in a loop: /);
+
+    assert.deepStrictEqual(describe(validateConfigFile(path.join(dir, "c/.seriseirc")), dir), [
+        "c/.seriseirc:1:11: error: Cannot extend ../missing/.seriseirc: file not found.",
+    ]);
+}));
\ No newline at end of file
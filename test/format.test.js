@@ -0,0 +1,19 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { format, ParseError } = require("../index");
+
+test("a valid file without imports or types comes back unchanged and without warnings", () => {
+    const source = "const answer = 42;\n\nmodule.exports = { answer };\n";
+    assert.deepStrictEqual(format(source, { filePath : "answer.js", config : {} }), {
+        code           : source,
+        changed        : false,
+        skipped        : false,
+        importGroups   : [],
+        reexportGroups : [],
+        warnings       : [],
+    });
+});
+
+test("code that cannot be parsed throws a ParseError", () => {
+    assert.throws(() => format("import { a from \"a\";\n", { filePath : "broken.js", config : {} }), ParseError);
+});
\ No newline at end of file
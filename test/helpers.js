@@ -0,0 +1,26 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Writes files into a fresh temporary directory, runs a test there and removes the directory afterwards.
+ * @param {Object<string, string>} files - Relative path -> contents
+ * @param {(dir: string) => (void|Promise<void>)} body - The test body
+ * @returns {() => Promise<void>} The test function
+ */
+const withFiles = (files, body) => async () => {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "serisei-test-")));
+    try {
+        for (const [relativePath, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(dir, relativePath)), { recursive : true });
+            fs.writeFileSync(path.join(dir, relativePath), content);
+        }
+        await body(dir);
+    } finally {
+        fs.rmSync(dir, { recursive : true, force : true });
+    }
+};
+
+module.exports = {
+    withFiles,
+};
\ No newline at end of file
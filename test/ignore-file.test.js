@@ -0,0 +1,57 @@
+const assert = require("assert");
+const path = require("path");
+const { test, afterEach } = require("node:test");
+const { isIgnoredFile, clearIgnoreCache, parseIgnoreRules } = require("../lib/ignore-file");
+const { withFiles } = require("./helpers");
+
+afterEach(clearIgnoreCache);
+
+test("files matching .seriseiignore patterns are ignored, and negated patterns bring files back", withFiles({
+    ".seriseiignore"          : "# generated code\n*.gen.ts\ngenerated/\n!keep.gen.ts\n/root-only.ts\n",
+    "src/api.gen.ts"          : "",
+    "src/keep.gen.ts"         : "",
+    "src/index.ts"            : "",
+    "src/generated/client.ts" : "",
+    "root-only.ts"            : "",
+    "src/root-only.ts"        : "",
+}, (dir) => {
+    const ignored = (file) => isIgnoredFile(path.join(dir, file));
+    assert.strictEqual(ignored("src/api.gen.ts"), true);
+    assert.strictEqual(ignored("src/keep.gen.ts"), false);
+    assert.strictEqual(ignored("src/index.ts"), false);
+    assert.strictEqual(ignored("src/generated/client.ts"), true);
+    assert.strictEqual(ignored("root-only.ts"), true);
+    assert.strictEqual(ignored("src/root-only.ts"), false);
+}));
+
+test("a file inside an ignored directory stays ignored even when negated", withFiles({
+    ".seriseiignore" : "vendor/\n!vendor/keep.ts\n",
+    "vendor/keep.ts" : "",
+}, (dir) => {
+    assert.strictEqual(isIgnoredFile(path.join(dir, "vendor", "keep.ts")), true);
+}));
+
+test("the nearest .seriseiignore above the file is used", withFiles({
+    ".seriseiignore"            : "*.ts\n",
+    "packages/a/.seriseiignore" : "legacy.ts\n",
+    "packages/a/index.ts"       : "",
+    "packages/a/legacy.ts"      : "",
+    "other/index.ts"            : "",
+}, (dir) => {
+    assert.strictEqual(isIgnoredFile(path.join(dir, "packages", "a", "index.ts")), false);
+    assert.strictEqual(isIgnoredFile(path.join(dir, "packages", "a", "legacy.ts")), true);
+    assert.strictEqual(isIgnoredFile(path.join(dir, "other", "index.ts")), true);
+}));
+
+test("without a .seriseiignore nothing is ignored", withFiles({
+    "src/index.ts" : "",
+}, (dir) => {
+    assert.strictEqual(isIgnoredFile(path.join(dir, "src", "index.ts")), false);
+}));
+
+test("comments, blank lines and escaped characters in ignore files", () => {
+    const rules = parseIgnoreRules("# comment\n\n\\#hash.ts\n\\!bang.ts\n");
+    assert.deepStrictEqual(rules.map(rule => rule.negate), [false, false]);
+    assert.ok(rules[0].regex.test("#hash.ts"));
+    assert.ok(rules[1].regex.test("src/!bang.ts"));
+});
\ No newline at end of file
@@ -0,0 +1,104 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { format } = require("../index");
+
+const HEADER = "// OTHER ===============================================================================================================";
+
+const formatLines = (lines) => format(lines.join("\n"), { filePath : "index.ts", config : {} }).code.split("\n");
+
+test("a comment directly above the first import moves with it", () => {
+    assert.deepStrictEqual(formatLines([
+        "#!/usr/bin/env node",
+        "// eslint-disable-next-line import/no-unresolved",
+        "import zeta from \"zeta\";",
+        "// @ts-expect-error untyped module",
+        "import { b } from \"beta\";",
+        "import { a } from \"alpha\";",
+        "",
+        "zeta(a, b);",
+    ]), [
+        "#!/usr/bin/env node",
+        "",
+        HEADER,
+        "// eslint-disable-next-line import/no-unresolved",
+        "import zeta from \"zeta\";",
+        "import { a } from \"alpha\";",
+        "// @ts-expect-error untyped module",
+        "import { b } from \"beta\";",
+        "",
+        "zeta(a, b);",
+    ]);
+});
+
+test("a license block and comments set apart by a blank line stay at the top of the file", () => {
+    assert.deepStrictEqual(formatLines([
+        "/*",
+        " * Copyright Acme. MIT License.",
+        " */",
+        "// eslint-disable-next-line no-restricted-imports",
+        "import zeta from \"zeta\";",
+        "import { a } from \"alpha\";",
+        "",
+        "zeta(a);",
+    ]), [
+        "/*",
+        " * Copyright Acme. MIT License.",
+        " */",
+        "",
+        HEADER,
+        "// eslint-disable-next-line no-restricted-imports",
+        "import zeta from \"zeta\";",
+        "import { a } from \"alpha\";",
+        "",
+        "zeta(a);",
+    ]);
+
+    assert.deepStrictEqual(formatLines([
+        "// Utilities shared by the CLI",
+        "",
+        "import zeta from \"zeta\";",
+        "import { a } from \"alpha\";",
+        "",
+        "zeta(a);",
+    ]), [
+        "// Utilities shared by the CLI",
+        "",
+        HEADER,
+        "import zeta from \"zeta\";",
+        "import { a } from \"alpha\";",
+        "",
+        "zeta(a);",
+    ]);
+});
+
+test("a trailing comment stays on the line of its import", () => {
+    assert.deepStrictEqual(formatLines([
+        "import { b } from \"beta\"; // pinned to v2",
+        "import { a } from \"alpha\"; /* see #12 */",
+        "",
+        "a(b);",
+    ]), [
+        HEADER,
+        "import { a } from \"alpha\"; /* see #12 */",
+        "import { b } from \"beta\"; // pinned to v2",
+        "",
+        "a(b);",
+    ]);
+});
+
+test("magic comments inside an import, like webpackChunkName, are kept as written", () => {
+    assert.deepStrictEqual(formatLines([
+        "import { b } from \"beta\";",
+        "import { a } from /* webpackChunkName: \"alpha\" */ \"alpha\";",
+        "",
+        "const lazy = () => import(/* webpackChunkName: \"lazy\" */ \"./lazy\");",
+        "a(b, lazy);",
+    ]), [
+        HEADER,
+        "import { a } from /* webpackChunkName: \"alpha\" */ \"alpha\";",
+        "import { b } from \"beta\";",
+        "",
+        "const lazy = () => import(/* webpackChunkName: \"lazy\" */ \"./lazy\");",
+        "a(b, lazy);",
+    ]);
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+const assert = require("assert");
+const path = require("path");
+const { test } = require("node:test");
+const { format } = require("../index");
+const { withFiles } = require("./helpers");
+
+const PROJECT = {
+    "tsconfig.json"                           : JSON.stringify({ compilerOptions : { baseUrl : ".", paths : { "@/*" : ["src/*"] } } }),
+    ".seriseirc"                              : "[groups]\ncomponents = src/components/**\nstyles = **/*.{css,scss}\n",
+    "src/components/Icon/index.tsx"           : "",
+    "src/components/Button/Button.module.css" : "",
+};
+
+test("a relative stylesheet import goes to the styles group, not the group of the importing file's folder", withFiles(PROJECT, (dir) => {
+    const source = [
+        "import styles from \"./Button.module.css\";",
+        "import { Icon } from \"../Icon\";",
+        "import { Card } from \"@/components/Card\";",
+        "import React from \"react\";",
+        "",
+        "export const Button = () => <Icon className={styles.button} />;",
+        "",
+    ].join("\n");
+
+    const { code } = format(source, { filePath : path.join(dir, "src/components/Button/index.tsx") });
+    assert.strictEqual(code, [
+        "// COMPONENTS ==========================================================================================================",
+        "import { Card } from \"@/components/Card\";",
+        "import { Icon } from \"../Icon\";",
+        "",
+        "// STYLES ==============================================================================================================",
+        "import styles from \"./Button.module.css\";",
+        "",
+        "// OTHER ===============================================================================================================",
+        "import React from \"react\";",
+        "",
+        "export const Button = () => <Icon className={styles.button} />;",
+        "",
+    ].join("\n"));
+}));
+
+const SIDE_EFFECT_SOURCE = [
+    "import zeta from \"zeta\";",
+    "import \"./polyfills\";",
+    "import beta from \"beta\";",
+    "import alpha from \"alpha\";",
+    "import \"./reset.css\";",
+    "import \"./theme.css\";",
+    "",
+    "zeta(alpha, beta);",
+    "",
+].join("\n");
+
+test("side-effect imports stay in place, in their order, by default", withFiles({}, (dir) => {
+    const { code } = format(SIDE_EFFECT_SOURCE, { filePath : path.join(dir, "index.js") });
+    assert.strictEqual(code, [
+        "// OTHER ===============================================================================================================",
+        "import zeta from \"zeta\";",
+        "",
+        "import \"./polyfills\";",
+        "",
+        "// OTHER ===============================================================================================================",
+        "import alpha from \"alpha\";",
+        "import beta from \"beta\";",
+        "",
+        "import \"./reset.css\";",
+        "import \"./theme.css\";",
+        "",
+        "zeta(alpha, beta);",
+        "",
+    ].join("\n"));
+}));
+
+test("SIDE_EFFECT_IMPORTS = sort sorts side-effect imports like other imports", withFiles({ ".seriseirc" : "SIDE_EFFECT_IMPORTS = sort\n" }, (dir) => {
+    const { code } = format(SIDE_EFFECT_SOURCE, { filePath : path.join(dir, "index.js") });
+    assert.strictEqual(code, [
+        "// STYLES ==============================================================================================================",
+        "import \"./reset.css\";",
+        "import \"./theme.css\";",
+        "",
+        "// OTHER ===============================================================================================================",
+        "import \"./polyfills\";",
+        "import alpha from \"alpha\";",
+        "import beta from \"beta\";",
+        "import zeta from \"zeta\";",
+        "",
+        "zeta(alpha, beta);",
+        "",
+    ].join("\n"));
+}));
\ No newline at end of file
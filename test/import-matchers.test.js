@@ -0,0 +1,62 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { format } = require("../index");
+const { createMatcher, getMatcherKind } = require("../lib/import-matchers");
+
+const header = (name) => `// ${name} `.padEnd(120, "=");
+
+const matches = (pattern, specifiers) => specifiers.filter(createMatcher(pattern));
+
+test("each kind of matcher is recognised", () => {
+    assert.strictEqual(getMatcherKind("/^react(-.*)?$/"), "regex");
+    assert.strictEqual(getMatcherKind("@acme/**"), "glob");
+    assert.strictEqual(getMatcherKind("**/*.css"), "glob");
+    assert.strictEqual(getMatcherKind("\"react\""), "exact");
+    assert.strictEqual(getMatcherKind("react"), "exact");
+    assert.strictEqual(getMatcherKind(".css"), "contains");
+    assert.strictEqual(getMatcherKind("components/"), "contains");
+    assert.strictEqual(getMatcherKind("@builtins"), "keyword");
+});
+
+test("regex, glob and exact matchers test the whole module specifier", () => {
+    const specifiers = ["react", "react-dom", "fictoan-react", "@acme/ui", "@acme/ui/Button", "./styles/app.css", "./app.css.ts"];
+    assert.deepStrictEqual(matches("/^react(-.*)?$/", specifiers), ["react", "react-dom"]);
+    assert.deepStrictEqual(matches("@acme/**", specifiers), ["@acme/ui", "@acme/ui/Button"]);
+    assert.deepStrictEqual(matches("**/*.css", specifiers), ["./styles/app.css"]);
+    assert.deepStrictEqual(matches("react", specifiers), ["react"]);
+    assert.deepStrictEqual(matches(".css", specifiers), ["./styles/app.css", "./app.css.ts"]);
+});
+
+test("an invalid regular expression matcher throws", () => {
+    assert.throws(() => createMatcher("/(/"), SyntaxError);
+});
+
+test("groups match on the module specifier, not on imported names", () => {
+    const source = [
+        "import { lib } from \"react-dom\";",
+        "import React from \"react\";",
+        "import Button from \"@acme/ui/Button\";",
+        "import { x } from \"fictoan-react\";",
+        "import { helper } from \"./lib/helper\";",
+    ].join("\n");
+    const groups = [
+        { name : "// REACT ", matchers : ["/^react(-.*)?$/"] },
+        { name : "// ACME ", matchers : ["@acme/**"] },
+        { name : "// LIB ", matchers : ["lib/"] },
+        { name : "// OTHER ", matchers : [] },
+    ];
+    assert.deepStrictEqual(format(source, { filePath : "index.ts", config : { groups } }).code.split("\n"), [
+        header("REACT"),
+        "import React from \"react\";",
+        "import { lib } from \"react-dom\";",
+        "",
+        header("ACME"),
+        "import Button from \"@acme/ui/Button\";",
+        "",
+        header("LIB"),
+        "import { helper } from \"./lib/helper\";",
+        "",
+        header("OTHER"),
+        "import { x } from \"fictoan-react\";",
+    ]);
+});
\ No newline at end of file
@@ -0,0 +1,56 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { format } = require("../index");
+
+const HEADER = "// OTHER ===============================================================================================================";
+
+const SOURCE = [
+    "import { b } from \"x\";",
+    "import X from \"x\";",
+    "import { a, b as c } from \"x\";",
+    "import * as NS from \"x\";",
+    "import type { T } from \"x\";",
+    "import { type U } from \"x\";",
+    "",
+    "use(X, a, b, c, NS);",
+];
+
+const formatLines = (config) => format(SOURCE.join("\n"), {
+    filePath : "index.ts",
+    config   : { groups : [{ name : "// OTHER ", matchers : [] }], ...config },
+}).code.split("\n");
+
+test("imports from the same module stay separate by default", () => {
+    assert.deepStrictEqual(formatLines({}), [
+        HEADER,
+        "import * as NS from \"x\";",
+        "import X from \"x\";",
+        "import type { T } from \"x\";",
+        "import { a, b as c } from \"x\";",
+        "import { b } from \"x\";",
+        "import { type U } from \"x\";",
+        "",
+        "use(X, a, b, c, NS);",
+    ]);
+});
+
+test("MERGE_DUPLICATES combines default and named imports, but not namespace or type-only ones", () => {
+    assert.deepStrictEqual(formatLines({ MERGE_DUPLICATES : true }), [
+        HEADER,
+        "import * as NS from \"x\";",
+        "import X, { b, a, b as c, type U } from \"x\";",
+        "import type { T } from \"x\";",
+        "",
+        "use(X, a, b, c, NS);",
+    ]);
+});
+
+test("with INLINE_TYPE_IMPORTS, type-only imports merge in as inline type specifiers", () => {
+    assert.deepStrictEqual(formatLines({ MERGE_DUPLICATES : true, INLINE_TYPE_IMPORTS : true }), [
+        HEADER,
+        "import * as NS from \"x\";",
+        "import X, { b, a, b as c, type T, type U } from \"x\";",
+        "",
+        "use(X, a, b, c, NS);",
+    ]);
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { format } = require("../index");
+
+// Formats with a single catch-all group and returns the import lines, without the group header
+const sortLines = (lines, config) => format(lines.join("\n"), {
+    filePath : "index.ts",
+    config   : { groups : [{ name : "// OTHER ", matchers : [] }], SIDE_EFFECT_IMPORTS : "sort", ...config },
+}).code.split("\n").slice(1);
+
+const NUMBERED = [
+    "import { b } from \"./item10\";",
+    "import Zeta from \"./Item2\";",
+    "import { a } from \"./item1\";",
+    "import alpha from \"./item3\";",
+];
+
+test("SORT_BY = module sorts by module path with the chosen SORT_ORDER", () => {
+    assert.deepStrictEqual(sortLines(NUMBERED, { SORT_BY : "module" }), [
+        "import Zeta from \"./Item2\";",
+        "import { a } from \"./item1\";",
+        "import { b } from \"./item10\";",
+        "import alpha from \"./item3\";",
+    ]);
+    assert.deepStrictEqual(sortLines(NUMBERED, { SORT_BY : "module", SORT_ORDER : "case-insensitive" }), [
+        "import { a } from \"./item1\";",
+        "import { b } from \"./item10\";",
+        "import Zeta from \"./Item2\";",
+        "import alpha from \"./item3\";",
+    ]);
+    assert.deepStrictEqual(sortLines(NUMBERED, { SORT_BY : "module", SORT_ORDER : "natural" }), [
+        "import { a } from \"./item1\";",
+        "import Zeta from \"./Item2\";",
+        "import alpha from \"./item3\";",
+        "import { b } from \"./item10\";",
+    ]);
+});
+
+test("by default whole statements are sorted and the names inside braces keep their order", () => {
+    assert.deepStrictEqual(sortLines([...NUMBERED, "import { z, type Y, c } from \"x\";"], {}), [
+        "import Zeta from \"./Item2\";",
+        "import alpha from \"./item3\";",
+        "import { a } from \"./item1\";",
+        "import { b } from \"./item10\";",
+        "import { z, type Y, c } from \"x\";",
+    ]);
+});
+
+test("SORT_SPECIFIERS sorts the names inside braces, with inline types first if asked", () => {
+    const source = ["import { z, type Y, a, type b as Q, B } from \"x\";"];
+    assert.deepStrictEqual(sortLines(source, { SORT_SPECIFIERS : true }), [
+        "import { B, type Y, a, type b as Q, z } from \"x\";",
+    ]);
+    assert.deepStrictEqual(sortLines(source, { SORT_SPECIFIERS : true, TYPE_SPECIFIERS_FIRST : true }), [
+        "import { type Y, type b as Q, B, a, z } from \"x\";",
+    ]);
+    assert.deepStrictEqual(sortLines(source, { SORT_SPECIFIERS : true, SORT_ORDER : "case-insensitive" }), [
+        "import { a, B, type b as Q, type Y, z } from \"x\";",
+    ]);
+});
+
+test("IMPORT_KIND_ORDER orders imports by kind within a group, unlisted kinds last", () => {
+    const source = [
+        "import { n } from \"a\";",
+        "import * as ns from \"b\";",
+        "import d from \"c\";",
+        "import \"d\";",
+        "import { m } from \"0\";",
+    ];
+    assert.deepStrictEqual(sortLines(source, { IMPORT_KIND_ORDER : ["named", "default", "namespace", "side-effect"] }), [
+        "import { m } from \"0\";",
+        "import { n } from \"a\";",
+        "import d from \"c\";",
+        "import * as ns from \"b\";",
+        "import \"d\";",
+    ]);
+    assert.deepStrictEqual(sortLines(source, { IMPORT_KIND_ORDER : ["named", "default"] }), [
+        "import { m } from \"0\";",
+        "import { n } from \"a\";",
+        "import d from \"c\";",
+        "import \"d\";",
+        "import * as ns from \"b\";",
+    ]);
+});
\ No newline at end of file
@@ -0,0 +1,219 @@
+const assert = require("assert");
+const path = require("path");
+const { spawn } = require("child_process");
+const { pathToFileURL } = require("url");
+const { test } = require("node:test");
+const { withFiles } = require("./helpers");
+
+const CLI_PATH = path.join(__dirname, "..", "serisei-formatter.js");
+
+// How long to wait for a response before failing instead of hanging the run
+const RESPONSE_TIMEOUT_MS = 10000;
+
+const SOURCE = [
+    "import { b } from \"zeta\";",
+    "import { a } from \"alpha\";",
+    "",
+    "interface Props {",
+    "    id: string;",
+    "    label: string;",
+    "}",
+    "",
+    "console.log(a, b);",
+    "",
+].join("\n");
+
+const FORMATTED_IMPORTS = [
+    "// OTHER ===============================================================================================================",
+    "import { a } from \"alpha\";",
+    "import { b } from \"zeta\";",
+].join("\n");
+
+const FORMATTED_INTERFACE = [
+    "interface Props {",
+    "    id    : string;",
+    "    label : string;",
+    "}",
+].join("\n");
+
+/**
+ * Starts `serisei --lsp` as a child process and talks to it the way an editor does,
+ * with Content-Length framed JSON-RPC messages over stdio.
+ * @param {string} cwd - The working directory of the server
+ * @returns {object} The client
+ */
+const startClient = (cwd) => {
+    const child = spawn(process.execPath, [CLI_PATH, "--lsp"], { cwd, stdio : ["pipe", "pipe", "pipe"] });
+    const pending = new Map(); // id -> resolve callback of the request
+    const notifications = [];
+    let buffer = Buffer.alloc(0);
+    let nextId = 1;
+
+    // The server may already be gone when a message written after "exit" reaches the pipe
+    child.stdin.on("error", () => {});
+
+    child.stdout.on("data", (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (true) {
+            const headerEnd = buffer.indexOf("\r\n\r\n");
+            if (headerEnd === -1) return;
+
+            const lengthMatch = buffer.slice(0, headerEnd).toString("ascii").match(/^Content-Length: (\d+)$/);
+            assert.ok(lengthMatch, `malformed header: ${buffer.slice(0, headerEnd)}`);
+
+            const bodyEnd = headerEnd + 4 + parseInt(lengthMatch[1], 10);
+            if (buffer.length < bodyEnd) return;
+
+            const message = JSON.parse(buffer.slice(headerEnd + 4, bodyEnd).toString("utf8"));
+            buffer = buffer.slice(bodyEnd);
+
+            assert.strictEqual(message.jsonrpc, "2.0");
+            if (message.id !== undefined && pending.has(message.id)) {
+                pending.get(message.id)(message);
+                pending.delete(message.id);
+            } else {
+                notifications.push(message);
+            }
+        }
+    });
+
+    const write = (message) => {
+        const json = JSON.stringify({ jsonrpc : "2.0", ...message });
+        child.stdin.write(`Content-Length: ${Buffer.byteLength(json, "utf8")}\r\n\r\n${json}`);
+    };
+
+    const request = (method, params) => {
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`no response to ${method}`)), RESPONSE_TIMEOUT_MS);
+            pending.set(id, (message) => {
+                clearTimeout(timer);
+                resolve(message);
+            });
+            write({ id, method, params });
+        });
+    };
+
+    const notify = (method, params) => write({ method, params });
+
+    const exited = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error("server did not exit"));
+        }, RESPONSE_TIMEOUT_MS);
+        child.on("exit", (code) => {
+            clearTimeout(timer);
+            resolve(code);
+        });
+    });
+
+    return { request, notify, notifications, exited };
+};
+
+/**
+ * Applies LSP TextEdits made of whole-line ranges, the only kind the server sends.
+ * @param {string} text - The document text
+ * @param {Array<object>} edits - The edits, in document order
+ * @returns {string} The edited text
+ */
+const applyEdits = (text, edits) => {
+    const lines = text.split("\n");
+    const offsetOf = ({ line, character }) => lines.slice(0, line).reduce((sum, l) => sum + l.length + 1, 0) + character;
+
+    let result = text;
+    for (const edit of [...edits].reverse()) {
+        result = result.slice(0, offsetOf(edit.range.start)) + edit.newText + result.slice(offsetOf(edit.range.end));
+    }
+    return result;
+};
+
+test("initialize, formatting, rangeFormatting, shutdown and exit over stdio", withFiles({}, async (dir) => {
+    const client = startClient(dir);
+    const uri = pathToFileURL(path.join(dir, "example.ts")).href;
+
+    const beforeInit = await client.request("textDocument/formatting", { textDocument : { uri }, options : {} });
+    assert.strictEqual(beforeInit.error.code, -32002);
+
+    const initialize = await client.request("initialize", { processId : process.pid, rootUri : null, capabilities : {} });
+    assert.deepStrictEqual(initialize.result, {
+        capabilities : {
+            textDocumentSync                : 1,
+            documentFormattingProvider      : true,
+            documentRangeFormattingProvider : true,
+        },
+        serverInfo   : { name : "serisei" },
+    });
+    client.notify("initialized", {});
+    client.notify("textDocument/didOpen", { textDocument : { uri, languageId : "typescript", version : 1, text : SOURCE } });
+
+    const formatting = await client.request("textDocument/formatting", { textDocument : { uri }, options : {} });
+    assert.strictEqual(formatting.error, undefined);
+    assert.strictEqual(
+        applyEdits(SOURCE, formatting.result),
+        `${FORMATTED_IMPORTS}\n\n${FORMATTED_INTERFACE}\n\nconsole.log(a, b);\n`,
+    );
+
+    // Lines 4-7 (0-based 3-6) hold the interface, so the imports above it stay as they are
+    const rangeFormatting = await client.request("textDocument/rangeFormatting", {
+        textDocument : { uri },
+        range        : { start : { line : 3, character : 0 }, end : { line : 7, character : 0 } },
+        options      : {},
+    });
+    assert.strictEqual(rangeFormatting.error, undefined);
+    assert.strictEqual(
+        applyEdits(SOURCE, rangeFormatting.result),
+        SOURCE.replace(/interface Props \{[^}]*\}/, FORMATTED_INTERFACE),
+    );
+
+    const unknown = await client.request("textDocument/hover", { textDocument : { uri }, position : { line : 0, character : 0 } });
+    assert.strictEqual(unknown.error.code, -32601);
+
+    const shutdown = await client.request("shutdown", null);
+    assert.deepStrictEqual(shutdown, { jsonrpc : "2.0", id : shutdown.id, result : null });
+
+    const afterShutdown = await client.request("textDocument/formatting", { textDocument : { uri }, options : {} });
+    assert.strictEqual(afterShutdown.error.code, -32600);
+
+    // A second exit must not change the exit code or crash the server
+    client.notify("exit");
+    client.notify("exit");
+    assert.strictEqual(await client.exited, 0);
+    assert.deepStrictEqual(client.notifications, []);
+}));
+
+test("parse errors are logged and answered with no edits", withFiles({}, async (dir) => {
+    const client = startClient(dir);
+    const uri = pathToFileURL(path.join(dir, "broken.ts")).href;
+
+    await client.request("initialize", { processId : process.pid, rootUri : null, capabilities : {} });
+    client.notify("textDocument/didOpen", {
+        textDocument : { uri, languageId : "typescript", version : 1, text : "import { a from \"alpha\";\n" },
+    });
+
+    const formatting = await client.request("textDocument/formatting", { textDocument : { uri }, options : {} });
+    assert.deepStrictEqual(formatting.result, []);
+    assert.strictEqual(client.notifications.length, 1);
+    assert.strictEqual(client.notifications[0].method, "window/logMessage");
+    assert.strictEqual(client.notifications[0].params.type, 2);
+    assert.match(client.notifications[0].params.message, /^serisei: could not parse file:.*broken\.ts: /);
+
+    // The server keeps working after a parse error
+    client.notify("textDocument/didChange", {
+        textDocument   : { uri, version : 2 },
+        contentChanges : [{ text : SOURCE }],
+    });
+    const fixed = await client.request("textDocument/formatting", { textDocument : { uri }, options : {} });
+    assert.ok(fixed.result.length > 0);
+
+    await client.request("shutdown", null);
+    client.notify("exit");
+    assert.strictEqual(await client.exited, 0);
+}));
+
+test("exit without shutdown ends the server with exit code 1", withFiles({}, async (dir) => {
+    const client = startClient(dir);
+
+    await client.request("initialize", { processId : process.pid, rootUri : null, capabilities : {} });
+    client.notify("exit");
+    assert.strictEqual(await client.exited, 1);
+}));
\ No newline at end of file
@@ -0,0 +1,60 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { format } = require("../index");
+const { parseRange } = require("../lib/cli-args");
+
+const HEADER = "// OTHER ===============================================================================================================";
+
+const SOURCE = [
+    "import { b } from \"zeta\";",
+    "import { a } from \"alpha\";",
+    "",
+    "interface A {",
+    "    id: string;",
+    "    label: string;",
+    "}",
+    "",
+    "const x = 1;",
+    "",
+    "type B = {",
+    "    first: number;",
+    "    second: boolean;",
+    "};",
+];
+
+const formatRange = (start, end) => format(SOURCE.join("\n"), {
+    filePath : "index.ts",
+    config   : { groups : [{ name : "// OTHER ", matchers : [] }] },
+    range    : { start, end },
+}).code.split("\n");
+
+test("a range over one type block only aligns that block", () => {
+    const expected = [...SOURCE];
+    expected.splice(4, 2, "    id    : string;", "    label : string;");
+    assert.deepStrictEqual(formatRange(4, 4), expected);
+
+    expected.splice(4, 2, ...SOURCE.slice(4, 6));
+    expected.splice(11, 2, "    first  : number;", "    second : boolean;");
+    assert.deepStrictEqual(formatRange(11, 14), expected);
+});
+
+test("a range over the imports regroups them and leaves the type blocks alone", () => {
+    assert.deepStrictEqual(formatRange(1, 1), [
+        HEADER,
+        "import { a } from \"alpha\";",
+        "import { b } from \"zeta\";",
+        ...SOURCE.slice(2),
+    ]);
+});
+
+test("a range that touches no imports or types leaves the file as it was", () => {
+    assert.deepStrictEqual(formatRange(9, 9), SOURCE);
+});
+
+test("--range takes 1-based start:end lines", () => {
+    assert.deepStrictEqual(parseRange("3:10"), { start : 3, end : 10 });
+    assert.deepStrictEqual(parseRange("7:7"), { start : 7, end : 7 });
+    assert.strictEqual(parseRange("10:3"), null);
+    assert.strictEqual(parseRange("0:3"), null);
+    assert.strictEqual(parseRange("3"), null);
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { format } = require("../index");
+
+const GROUPS = [
+    { name : "// COMPONENTS ", matchers : ["components/"] },
+    { name : "// UTILS ", matchers : ["utils/"] },
+    { name : "// OTHER ", matchers : [] },
+];
+
+const header = (name) => `// ${name} `.padEnd(120, "=");
+
+const formatLines = (lines, config = {}) => format(lines.join("\n"), {
+    filePath : "index.ts",
+    config   : { FORMAT_REEXPORTS : true, groups : GROUPS, ...config },
+}).code.split("\n");
+
+const BARREL = [
+    "export * from \"./utils/strings\";",
+    "export type { Props } from \"./components/types\";",
+    "export { Button } from \"./components/Button\";",
+    "",
+    "export const VERSION = \"1.0\";",
+    "",
+    "export { Card } from \"./components/Card\";",
+];
+
+test("re-exports are grouped and sorted in a block where the first one was, local exports stay", () => {
+    assert.deepStrictEqual(formatLines(BARREL), [
+        header("COMPONENTS"),
+        "export { Button } from \"./components/Button\";",
+        "export { Card } from \"./components/Card\";",
+        "export type { Props } from \"./components/types\";",
+        "",
+        header("UTILS"),
+        "export * from \"./utils/strings\";",
+        "",
+        "export const VERSION = \"1.0\";",
+    ]);
+});
+
+test("type-only re-exports never sort in between value re-exports", () => {
+    const source = [
+        "export type { Alpha } from \"./alpha\";",
+        "export { zeta } from \"./zeta\";",
+        "export { alpha } from \"./alpha\";",
+    ];
+    assert.deepStrictEqual(formatLines(source, { SORT_BY : "module" }).slice(1), [
+        "export { alpha } from \"./alpha\";",
+        "export { zeta } from \"./zeta\";",
+        "export type { Alpha } from \"./alpha\";",
+    ]);
+});
+
+test("with TYPE_IMPORTS = group, type-only re-exports get a TYPES group", () => {
+    assert.deepStrictEqual(formatLines(BARREL, { TYPE_IMPORTS : "group" }).slice(0, 9), [
+        header("COMPONENTS"),
+        "export { Button } from \"./components/Button\";",
+        "export { Card } from \"./components/Card\";",
+        "",
+        header("UTILS"),
+        "export * from \"./utils/strings\";",
+        "",
+        header("TYPES"),
+        "export type { Props } from \"./components/types\";",
+    ]);
+});
+
+test("without FORMAT_REEXPORTS, re-exports are left alone", () => {
+    const source = BARREL.join("\n");
+    assert.strictEqual(format(source, { filePath : "index.ts", config : { groups : GROUPS } }).code, source);
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+const assert = require("assert");
+const path = require("path");
+const { test } = require("node:test");
+const { format } = require("../index");
+const { isTypeImport } = require("../lib/type-imports");
+const { withFiles } = require("./helpers");
+
+const header = (name) => `// ${name} `.padEnd(120, "=");
+
+const SOURCE = [
+    "import D, { type A, b } from \"x\";",
+    "import type { T } from \"y\";",
+    "import { type Only } from \"z\";",
+    "",
+    "use(D, b);",
+];
+
+const formatLines = (lines, config, filePath = "index.ts") => format(lines.join("\n"), {
+    filePath,
+    config : { groups : [{ name : "// OTHER ", matchers : [] }], ...config },
+}).code.split("\n");
+
+test("only `import type` declarations count as type imports", () => {
+    assert.strictEqual(isTypeImport("import type { T } from \"y\";"), true);
+    assert.strictEqual(isTypeImport("export type { T } from \"y\";"), true);
+    assert.strictEqual(isTypeImport("import { type Only } from \"z\";"), false);
+    assert.strictEqual(isTypeImport("import D, { type A, b } from \"x\";"), false);
+});
+
+test("TYPE_IMPORTS = last puts type imports at the end of their group", () => {
+    assert.deepStrictEqual(formatLines(SOURCE, { TYPE_IMPORTS : "last" }), [
+        header("OTHER"),
+        "import D, { type A, b } from \"x\";",
+        "import { type Only } from \"z\";",
+        "import type { T } from \"y\";",
+        "",
+        "use(D, b);",
+    ]);
+});
+
+test("TYPE_IMPORTS = group moves type imports to a TYPES group", () => {
+    assert.deepStrictEqual(formatLines(SOURCE, { TYPE_IMPORTS : "group" }), [
+        header("OTHER"),
+        "import D, { type A, b } from \"x\";",
+        "import { type Only } from \"z\";",
+        "",
+        header("TYPES"),
+        "import type { T } from \"y\";",
+        "",
+        "use(D, b);",
+    ]);
+});
+
+test("TYPE_IMPORT_STYLE converts between `import type` and inline `type` specifiers", () => {
+    assert.deepStrictEqual(formatLines(SOURCE, { TYPE_IMPORT_STYLE : "keep" }), [
+        header("OTHER"),
+        "import D, { type A, b } from \"x\";",
+        "import type { T } from \"y\";",
+        "import { type Only } from \"z\";",
+        "",
+        "use(D, b);",
+    ]);
+    assert.deepStrictEqual(formatLines(SOURCE, { TYPE_IMPORT_STYLE : "separate" }), [
+        header("OTHER"),
+        "import D, { b } from \"x\";",
+        "import type { A } from \"x\";",
+        "import type { Only } from \"z\";",
+        "import type { T } from \"y\";",
+        "",
+        "use(D, b);",
+    ]);
+    assert.deepStrictEqual(formatLines(SOURCE, { TYPE_IMPORT_STYLE : "inline" }), [
+        header("OTHER"),
+        "import D, { type A, b } from \"x\";",
+        "import { type Only } from \"z\";",
+        "import { type T } from \"y\";",
+        "",
+        "use(D, b);",
+    ]);
+});
+
+test("under verbatimModuleSyntax, converting never adds or removes a module load", withFiles({
+    "tsconfig.json" : "{ \"compilerOptions\": { \"verbatimModuleSyntax\": true } }",
+}, (dir) => {
+    const source = [
+        "import { type Only } from \"z\";",
+        "import type { T } from \"y\";",
+        "import type { V } from \"w\";",
+        "import { w } from \"w\";",
+        "",
+        "use(w);",
+    ];
+    const filePath = path.join(dir, "index.ts");
+
+    assert.deepStrictEqual(formatLines(source, { TYPE_IMPORT_STYLE : "separate" }, filePath), [
+        header("OTHER"),
+        "import type { T } from \"y\";",
+        "import type { V } from \"w\";",
+        "import { type Only } from \"z\";",
+        "import { w } from \"w\";",
+        "",
+        "use(w);",
+    ]);
+    assert.deepStrictEqual(formatLines(source, { TYPE_IMPORT_STYLE : "inline" }, filePath), [
+        header("OTHER"),
+        "import type { T } from \"y\";",
+        "import { type Only } from \"z\";",
+        "import { type V } from \"w\";",
+        "import { w } from \"w\";",
+        "",
+        "use(w);",
+    ]);
+}));
\ No newline at end of file
@@ -0,0 +1,100 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { format } = require("../index");
+
+const HEADER = "// OTHER ===============================================================================================================";
+
+const formatLines = (lines, filePath, config = {}) => format(lines.join("\n"), {
+    filePath,
+    config : { groups : [{ name : "// OTHER ", matchers : [] }], REMOVE_UNUSED_IMPORTS : true, ...config },
+}).code.split("\n");
+
+test("unused names and emptied statements are removed, side-effect imports and type usages are kept", () => {
+    assert.deepStrictEqual(formatLines([
+        "import React, { useState, useEffect } from \"react\";",
+        "import Def, { used } from \"lib\";",
+        "import type { Props } from \"./types\";",
+        "import { Shape, unusedName } from \"./shapes\";",
+        "import \"./polyfill\";",
+        "import * as gone from \"gone\";",
+        "",
+        "const f = (p: Props): Shape => used(useState(p));",
+        "export default f;",
+    ], "index.ts"), [
+        HEADER,
+        "import type { Props } from \"./types\";",
+        "import { Shape } from \"./shapes\";",
+        "import { useState } from \"react\";",
+        "import { used } from \"lib\";",
+        "",
+        "import \"./polyfill\";",
+        "",
+        "const f = (p: Props): Shape => used(useState(p));",
+        "export default f;",
+    ]);
+});
+
+test("names that are only re-exported count as used", () => {
+    assert.deepStrictEqual(formatLines(["import { a } from \"a\";", "export { a };"], "index.ts"), [
+        HEADER,
+        "import { a } from \"a\";",
+        "",
+        "export { a };",
+    ]);
+});
+
+test("the JSX factory is kept for the classic runtime only", () => {
+    const source = [
+        "import React from \"react\";",
+        "import { h } from \"preact\";",
+        "",
+        "export const App = () => <div />;",
+    ];
+    assert.deepStrictEqual(formatLines(source, "App.tsx"), [
+        HEADER,
+        "import React from \"react\";",
+        "",
+        "export const App = () => <div />;",
+    ]);
+    assert.deepStrictEqual(formatLines(["/** @jsx h */", ...source], "App.tsx"), [
+        "/** @jsx h */",
+        "",
+        HEADER,
+        "import { h } from \"preact\";",
+        "",
+        "export const App = () => <div />;",
+    ]);
+    assert.deepStrictEqual(formatLines(["/** @jsxRuntime automatic */", ...source], "App.tsx"), [
+        "/** @jsxRuntime automatic */",
+        "export const App = () => <div />;",
+    ]);
+});
+
+test("names used only in JSDoc are kept with KEEP_JSDOC_IMPORTS", () => {
+    const source = [
+        "import { Widget } from \"./widget\";",
+        "import type { Options } from \"./options\";",
+        "",
+        "/**",
+        " * Builds one, see {@link Widget}.",
+        " * @param {Options} options",
+        " */",
+        "export const build = (options) => options;",
+    ];
+    assert.deepStrictEqual(formatLines(source, "build.js"), source.slice(3));
+    assert.deepStrictEqual(formatLines(source, "build.js", { KEEP_JSDOC_IMPORTS : true }), [
+        HEADER,
+        "import type { Options } from \"./options\";",
+        "import { Widget } from \"./widget\";",
+        ...source.slice(2),
+    ]);
+});
+
+test("without REMOVE_UNUSED_IMPORTS nothing is removed", () => {
+    assert.deepStrictEqual(formatLines(["import { unused } from \"a\";", "", "run();"], "index.ts", { REMOVE_UNUSED_IMPORTS : false }), [
+        HEADER,
+        "import { unused } from \"a\";",
+        "",
+        "run();",
+    ]);
+});
\ No newline at end of file
@@ -0,0 +1,48 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { test } = require("node:test");
+const { watchTree } = require("../lib/watch");
+const { withFiles } = require("./helpers");
+
+// How long to wait for a change to be reported before failing instead of hanging the run
+const CHANGE_TIMEOUT_MS = 5000;
+
+/**
+ * Watches a tree and resolves with the first config change it reports.
+ * @param {string[]} roots - The directories to watch
+ * @param {object} options - More watchTree options
+ * @param {() => void} makeChange - Changes files once the watch is running
+ * @returns {Promise<?string>} The changed config file, or null when nothing was reported in time
+ */
+const waitForConfigChange = (roots, options, makeChange) => new Promise((resolve) => {
+    let watcher = null;
+    const finish = (configPath) => {
+        clearTimeout(timer);
+        watcher.close();
+        resolve(configPath);
+    };
+    const timer = setTimeout(() => finish(null), CHANGE_TIMEOUT_MS);
+    watcher = watchTree(roots, { onFileChange : () => {}, onConfigChange : finish, debounceMs : 10, ...options });
+    makeChange();
+});
+
+test("a config file created above the watched directory after the watch started is reported", withFiles({
+    "project/src/index.js" : "",
+}, async (dir) => {
+    const configPath = path.join(dir, "project", ".seriseirc");
+    const changed = await waitForConfigChange([path.join(dir, "project", "src")], { watchAncestors : true }, () => {
+        fs.writeFileSync(configPath, "TO_COLUMN_WIDTH = 100\n");
+    });
+    assert.strictEqual(changed, configPath);
+}));
+
+test("a config file created inside the watched directory is reported", withFiles({
+    "project/src/index.js" : "",
+}, async (dir) => {
+    const configPath = path.join(dir, "project", "src", ".seriseirc");
+    const changed = await waitForConfigChange([path.join(dir, "project", "src")], {}, () => {
+        fs.writeFileSync(configPath, "TO_COLUMN_WIDTH = 100\n");
+    });
+    assert.strictEqual(changed, configPath);
+}));
\ No newline at end of file